@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// --- Define Sub-Schemas (for nested documents) ---
+
+// Who clicked (Slack user)
+const ReviewerSchema = new mongoose.Schema({
+    slack_user_id: String,
+    slack_username: String,
+    name: String,
+}, { _id: false });
+
+
+// Define Main Schema
+// One row per decision on a proposal (Accept / Skip / failed apply / auto-apply / Undo), never updated afterwards
+const DecisionAuditSchema = new mongoose.Schema({
+    trace_id: { type: String, required: true, index: true },
+    meeting_title: String,
+    project: { type: String, index: true },
+    proposal_index: Number,
+    action: String, // CREATE | UPDATE
+    outcome: { type: String, enum: ['accepted', 'skipped', 'failed', 'auto_applied', 'undone'], required: true, index: true },
+    review_mode: String,
+    reviewer: ReviewerSchema,
+    proposal: mongoose.Schema.Types.Mixed, // Snapshot as it was when decided
+    edits: [mongoose.Schema.Types.Mixed],  // Feedback modal revisions, oldest first
+    notion_page_id: String,
+    target_db_id: String,
+    error: String,
+    decided_at: { type: Date, default: Date.now, index: true },
+});
+
+DecisionAuditSchema.index({ 'reviewer.slack_user_id': 1, decided_at: -1 });
+
+
+// 1. Export the Schema Name
+const MODEL_NAME = 'DecisionAudit';
+
+// 2. Register or Retrieve the Model
+const DecisionAudit = mongoose.models[MODEL_NAME] || mongoose.model(MODEL_NAME, DecisionAuditSchema);
+
+// 3. Export the model
+module.exports = {
+    DecisionAudit,
+    DecisionAuditSchema,
+};
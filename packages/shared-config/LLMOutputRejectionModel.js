@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// --- Define Sub-Schemas (for nested documents) ---
+
+// One model answer (the first try, then the repair) and what validation said about it
+const AttemptSchema = new mongoose.Schema({
+    output: String, // Raw model output, as returned
+    validation_errors: [String], // `errors` is reserved by Mongoose
+    coercions: [String],
+}, { _id: false });
+
+
+// Define Main Schema
+// Model output that still failed schema validation after the repair round-trip
+const LLMOutputRejectionSchema = new mongoose.Schema({
+    trace_id: { type: String, index: true },
+    call_site: { type: String, index: true }, // normalize | compare | ...
+    model: String,
+    attempts: [AttemptSchema],
+    created_at: { type: Date, default: Date.now, index: true },
+});
+
+
+// 1. Export the Schema Name
+const MODEL_NAME = 'LLMOutputRejection';
+
+// 2. Register or Retrieve the Model
+const LLMOutputRejection = mongoose.models[MODEL_NAME] || mongoose.model(MODEL_NAME, LLMOutputRejectionSchema);
+
+// 3. Export the model
+module.exports = {
+    LLMOutputRejection,
+    LLMOutputRejectionSchema,
+};
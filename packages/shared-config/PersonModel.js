@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Define Main Schema
+// One row per real person: the names / emails they show up under (Read AI participants,
+// LLM-extracted owners) and their Notion and Slack user IDs.
+const PersonSchema = new mongoose.Schema({
+    display_name: { type: String, required: true },
+    aliases: [String],  // Nicknames, short names, misspellings the transcript uses
+    emails: { type: [String], index: true },
+    notion_user_id: { type: String, index: true, sparse: true },
+    slack_user_id: { type: String, index: true, sparse: true },
+    source: { type: String, enum: ['manual', 'notion', 'slack', 'participant'], default: 'participant' },
+    updated_at: { type: Date, default: Date.now },
+});
+
+PersonSchema.index({ display_name: 1 });
+PersonSchema.index({ aliases: 1 });
+
+
+// 1. Export the Schema Name
+const MODEL_NAME = 'Person';
+
+// 2. Register or Retrieve the Model
+const Person = mongoose.models[MODEL_NAME] || mongoose.model(MODEL_NAME, PersonSchema);
+
+// 3. Export the model
+module.exports = {
+    Person,
+    PersonSchema,
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// --- Define Sub-Schemas (for nested documents) ---
+
+// One handoff attempt to the MCP server
+const AttemptSchema = new mongoose.Schema({
+    attempted_at: { type: Date, default: Date.now },
+    error: String,
+    status_code: Number,
+}, { _id: false });
+
+
+// Define Main Schema
+// One job per received transcript (orchestrator -> MCP handoff), keyed by trace_id
+const PipelineJobSchema = new mongoose.Schema({
+    trace_id: { type: String, required: true, unique: true },
+    // "handed_off" = the MCP server took the transcript but its run isn't finished: checked again until it is
+    status: { type: String, enum: ['pending', 'processing', 'handed_off', 'completed', 'dead'], default: 'pending', index: true },
+    payload: {
+        transcript: { type: String, required: true },
+        source: String,
+        source_id: String,
+        meeting_title: String,
+        participants: [mongoose.Schema.Types.Mixed],
+        speaker_blocks: [mongoose.Schema.Types.Mixed],
+        start_time: Date, // Meeting start: relative due dates ("next Friday") count from it
+    },
+    // Idempotency keys (see utilities/ingestDedup.js)
+    source_session_id: { type: String, index: true },
+    content_hash: { type: String, index: true },
+    // Unique claim on those keys ("session:<id>", "hash:<sha256>"), so two concurrent deliveries of the
+    // same transcript can't both create a job. Forced reprocessing and dead jobs hold no keys.
+    dedup_keys: { type: [String], default: undefined },
+    attempts: { type: Number, default: 0 },
+    max_attempts: { type: Number, default: 5 },
+    next_attempt_at: { type: Date, default: Date.now, index: true },
+    locked_at: Date,
+    last_error: String,
+    attempt_log: [AttemptSchema],
+    handed_off_at: Date, // First "still running" answer for the current attempt
+    completed_at: Date,
+}, { timestamps: true });
+
+PipelineJobSchema.index({ dedup_keys: 1 }, { unique: true, partialFilterExpression: { dedup_keys: { $exists: true } } });
+
+
+// 1. Export the Schema Name
+const MODEL_NAME = 'PipelineJob';
+
+// 2. Register or Retrieve the Model
+const PipelineJob = mongoose.models[MODEL_NAME] || mongoose.model(MODEL_NAME, PipelineJobSchema);
+
+// 3. Export the model
+module.exports = {
+    PipelineJob,
+    PipelineJobSchema,
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// --- Define Sub-Schemas (for nested documents) ---
+
+// The Notion write made by an Accept, kept so it can be undone
+const WriteSchema = new mongoose.Schema({
+    action: String,     // CREATE | UPDATE
+    page_id: String,
+    target_db_id: String,
+    snapshot: mongoose.Schema.Types.Mixed, // UPDATE: properties as they were before the write
+    appended_block_ids: [String],          // Evidence blocks added to the page body
+    last_edited_time: String,              // The page's last_edited_time right after the write (Undo checks it)
+    status: { type: String, enum: ['applied', 'undoing', 'undone'], default: 'applied' },
+    applied_at: { type: Date, default: Date.now },
+    undone_at: Date,
+}, { _id: false });
+
+// One proposal card in the sequential review loop
+const ProposalSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'applying', 'accepted', 'skipped'], default: 'pending' }, // applying: batch write in flight
+    decided_at: Date,
+    created_page_id: String, // CREATE: set as soon as the page exists, so a Retry doesn't create it again
+    write: WriteSchema,
+}, { _id: false });
+
+// A proposal the auto-apply policy wrote to Notion without a card (see utilities/autoApplyPolicy.js)
+const AutoAppliedSchema = new mongoose.Schema({
+    task: { type: mongoose.Schema.Types.Mixed, required: true },
+    kind: String,       // CREATE | UPDATE | STATUS_UPDATE
+    confidence: Number,
+    reason: String,     // Which rule let it through
+    page_id: String,
+    target_db_id: String,
+    snapshot: mongoose.Schema.Types.Mixed, // UPDATE: properties as they were before the write
+    appended_block_ids: [String],          // Evidence blocks added to the page body
+    last_edited_time: String,              // The page's last_edited_time right after the write (Undo checks it)
+    status: { type: String, enum: ['applied', 'undoing', 'undone'], default: 'applied' },
+    applied_at: { type: Date, default: Date.now },
+    undone_at: Date,
+}, { _id: false });
+
+
+// Define Main Schema
+// Key: trace_id | Mirrors the in-memory queue { tasks: [], currentIndex: 0, meetingTitle: "", targetDbId: "" }
+const ProposalQueueSchema = new mongoose.Schema({
+    trace_id: { type: String, required: true, unique: true },
+    meeting_title: String,
+    target_db_id: String,
+    current_index: { type: Number, default: 0 },
+    // "processing" = the pipeline run for this trace holds it; the proposals aren't in yet
+    // "interrupted" = a run failed after auto-applying some proposals; the next run takes over and skips them
+    status: { type: String, enum: ['processing', 'interrupted', 'open', 'completed', 'cancelled'], default: 'open', index: true },
+    // "sequential" = one card at a time | "batch" = single digest message (digest_channel / digest_ts)
+    review_mode: { type: String, enum: ['sequential', 'batch'], default: 'sequential' },
+    digest_channel: String,
+    digest_ts: String,
+    proposals: [ProposalSchema],
+    auto_applied: [AutoAppliedSchema],
+    auto_summary_channel: String,
+    auto_summary_ts: String,
+}, { timestamps: true });
+
+// Feedback Sessions: Stores data while user edits in Modal (expire after a day)
+const FeedbackSessionSchema = new mongoose.Schema({
+    session_id: { type: String, required: true, unique: true },
+    trace_id: String,
+    task: mongoose.Schema.Types.Mixed,
+    iteration: { type: Number, default: 1 },
+    created_at: { type: Date, default: Date.now, expires: 60 * 60 * 24 },
+});
+
+
+// 1. Export the Schema Names
+const QUEUE_MODEL_NAME = 'ProposalQueue';
+const SESSION_MODEL_NAME = 'FeedbackSession';
+
+// 2. Register or Retrieve the Models
+const ProposalQueue = mongoose.models[QUEUE_MODEL_NAME] || mongoose.model(QUEUE_MODEL_NAME, ProposalQueueSchema);
+const FeedbackSession = mongoose.models[SESSION_MODEL_NAME] || mongoose.model(SESSION_MODEL_NAME, FeedbackSessionSchema);
+
+// 3. Export the models
+module.exports = {
+    ProposalQueue,
+    FeedbackSession,
+    ProposalQueueSchema,
+    FeedbackSessionSchema,
+};
@@ -26,6 +26,15 @@ const SummarySchema = new mongoose.Schema({
     decisions_count: Number,
 }, { _id: false });
 
+// One speaker turn, as Read AI delivers it (uploads are parsed into the same shape).
+// Times are milliseconds: epoch ms from Read AI, offsets from the start of the recording for uploads.
+const SpeakerBlockSchema = new mongoose.Schema({
+    speaker: { name: String },
+    words: String,
+    start_time: Number,
+    end_time: Number,
+}, { _id: false });
+
 const QualityMetricsSchema = new mongoose.Schema({
     transcription_accuracy: Number,
     normalization_confidence: Number,
@@ -48,6 +57,11 @@ const TranscriptSchema = new mongoose.Schema({
         },
     ],
     raw_transcript: { type: String, required: true }, 
+    speaker_blocks: [SpeakerBlockSchema],
+
+    // Idempotency keys: Read AI session id when present, else a hash of the transcript text
+    source_session_id: { type: String, index: true },
+    content_hash: { type: String, index: true },
 
     normalized_data: {
         summary: SummarySchema,
@@ -57,6 +71,26 @@ const TranscriptSchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+// Full-text search (one text index per collection): meeting, summary, decisions, tasks and raw text
+TranscriptSchema.index({
+    meeting_title: 'text',
+    'normalized_data.summary.key_points': 'text',
+    'normalized_data.extracted_entities.decisions': 'text',
+    'normalized_data.extracted_entities.projects.tasks.task_title': 'text',
+    'normalized_data.extracted_entities.projects.tasks.notes': 'text',
+    raw_transcript: 'text',
+}, {
+    name: 'transcript_search',
+    weights: {
+        meeting_title: 8,
+        'normalized_data.extracted_entities.projects.tasks.task_title': 6,
+        'normalized_data.extracted_entities.decisions': 5,
+        'normalized_data.summary.key_points': 4,
+        'normalized_data.extracted_entities.projects.tasks.notes': 3,
+        raw_transcript: 1,
+    },
+});
+
 
 // 1. Export the Schema Name
 const MODEL_NAME = 'NormalizedTranscript';
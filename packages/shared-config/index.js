@@ -4,6 +4,11 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') }); 
 
 const NormalizedTranscript = require('./TranscriptModel');
+const { ProposalQueue, FeedbackSession } = require('./ProposalQueueModel');
+const { PipelineJob } = require('./PipelineJobModel');
+const { DecisionAudit } = require('./DecisionAuditModel');
+const { Person } = require('./PersonModel');
+const { LLMOutputRejection } = require('./LLMOutputRejectionModel');
 
 const connectDB = async () => {
     try {
@@ -21,5 +26,11 @@ const connectDB = async () => {
 
 module.exports = { 
     connectDB,
-    NormalizedTranscript 
+    NormalizedTranscript,
+    ProposalQueue,
+    FeedbackSession,
+    PipelineJob,
+    DecisionAudit,
+    Person,
+    LLMOutputRejection
 };
\ No newline at end of file
@@ -10,46 +10,174 @@ const axios = require('axios');
 // --- CUSTOM UTILITIES ---
 const { simplifyAnyPage } = require('../utilities/notionHelper');
 const { findBestDatabaseMatch } = require('../utilities/dbFinder');
+const { getMapping, getValidatedMapping, formatIssues, buildNotionProperties, readComparableValues, configuredDataSourceIds } = require('../utilities/propertyMapping');
+const { proposalQueues, feedbackSessions } = require('../utilities/queueStore');
+const { createLLMClient } = require('../utilities/llmProvider');
+const { resolveReviewMode } = require('../utilities/reviewMode');
+const { PROPOSAL_FIELDS, diffProposals, diffAgainstPage, formatDiffLines } = require('../utilities/proposalDiff');
+const { listTranscripts, getTranscript, listDecisions, listPeople } = require('../utilities/transcriptQuery');
+const { searchTranscripts } = require('../utilities/transcriptSearch');
+const { recordDecision, queryDecisions, decisionStats, reviewerFromSlack } = require('../utilities/auditLog');
+const { resolveTaskOwners, chooseOwner, learnParticipants, syncDirectory, savePerson, listDirectory, formatOwnerMentions } = require('../utilities/identityDirectory');
+const { chunkTranscript, mergeNormalizedChunks, DEFAULT_MAX_CHARS, parseOverlapBlocks } = require('../utilities/transcriptChunker');
+const { blocksFromText, locateEvidence, formatEvidenceForSlack, meetingStart } = require('../utilities/taskEvidence');
+const { meetingLogBlocks } = require('../utilities/meetingLog');
+const { buildCandidateIndex, rankCandidates, deterministicCompare } = require('../utilities/candidateRanker');
+const { mapWithConcurrency } = require('../utilities/concurrency');
+const { createNotionCatalog } = require('../utilities/notionCatalog');
+const { createRateLimitedFetch, totalBudgetMs } = require('../utilities/rateLimitedFetch');
+const { validateNormalized, validateCompare, completeValidated, listRejections } = require('../utilities/llmOutputSchema');
+const { partitionProposals } = require('../utilities/autoApplyPolicy');
+const { snapshotProperties, restorePageSnapshot } = require('../utilities/pageSnapshot');
+const { getPipelineStatus, queueProgress } = require('../utilities/pipelineStatus');
 const logger = require('../utilities/logger'); 
+const { assignTraceId, captureRawBody, verifySlackRequest, verifyWebhookRequest } = require('../utilities/requestAuth');
 
 // --- CONFIGURATION ---
-const notion = new Client({ auth: process.env.NOTION_API_KEY });
+// Notion calls share one token bucket and retry 429 / 5xx; page creates / updates and log appends only 429 (NOTION_RATE_LIMIT_PER_SEC, NOTION_TIMEOUT_MS, NOTION_MAX_RETRIES).
+// The SDK's own timeout must outlast our retries.
+const notionFetch = createRateLimitedFetch('notion');
+const notion = new Client({ auth: process.env.NOTION_API_KEY, fetch: notionFetch, timeoutMs: totalBudgetMs(notionFetch.config) });
 const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
 
 const SLACK_CHANNEL = process.env.SLACK_APPROVAL_CHANNEL;
 const NOTION_TASK_DB_ID = process.env.NOTION_TASK_DB_ID; 
 const PORT = process.env.MCP_PORT || 3001;
+// Long transcripts are normalized chunk by chunk (map) and merged (reduce)
+const NORMALIZE_CHUNK_CHARS = Number(process.env.NORMALIZE_CHUNK_CHARS) || DEFAULT_MAX_CHARS;
+const NORMALIZE_CHUNK_OVERLAP_BLOCKS = parseOverlapBlocks(process.env.NORMALIZE_CHUNK_OVERLAP_BLOCKS);
+// CREATE/UPDATE comparison: "llm" (top-N local candidates -> LLM) or "deterministic" (local ranking only)
+const COMPARE_MODE = process.env.COMPARE_MODE === 'deterministic' ? 'deterministic' : 'llm';
+const COMPARE_TOP_N = Number(process.env.COMPARE_TOP_N) || 10;
+const COMPARE_CONCURRENCY = Number(process.env.COMPARE_CONCURRENCY) || 4;
+const COMPARE_MATCH_THRESHOLD = Number(process.env.COMPARE_MATCH_THRESHOLD) || 0.6;
+// Data source list and rows are cached this long (see utilities/notionCatalog.js)
+const NOTION_CACHE_TTL_MS = process.env.NOTION_CACHE_TTL_MS; // Validated by the catalog; unset uses its 5-minute default
 const app = express();
 
+// LLM call sites (model / endpoint / provider configurable per site, see utilities/llmProvider.js)
+const normalizeLLM = createLLMClient('normalize');
+const compareLLM = createLLMClient('compare');
+const refineLLM = createLLMClient('refine');
+
 logger.info(`[Config Check] OpenAI API Key is loaded: ${!!process.env.OPENAI_API_KEY}`); 
+logger.info(`[Config Check] LLM normalize: ${normalizeLLM.config.provider}/${normalizeLLM.config.model} | compare: ${COMPARE_MODE === 'llm' ? `${compareLLM.config.provider}/${compareLLM.config.model}` : 'deterministic'} (top ${COMPARE_TOP_N}, ${COMPARE_CONCURRENCY} at a time)`); 
+
+app.use(express.json({ limit: '50mb', verify: captureRawBody })); 
+// Slack signs the raw form body, so keep a copy of it for verification
+app.use(express.urlencoded({ limit: '50mb', extended: true, verify: captureRawBody })); 
 
-app.use(express.json({ limit: '50mb' })); 
-app.use(express.urlencoded({ limit: '50mb', extended: true })); 
+const verifySlack = verifySlackRequest(process.env.SLACK_SIGNING_SECRET);
+// Audit and people-directory endpoints: same WEBHOOK_SECRET / WEBHOOK_AUTH_MODE as the orchestrator's webhooks
+const verifyApi = verifyWebhookRequest({
+    secret: process.env.WEBHOOK_SECRET,
+    mode: process.env.WEBHOOK_AUTH_MODE || 'token'
+});
 
 
 // ==========================================================================
 //  GLOBAL STATE: SESSIONS & QUEUES
 // ==========================================================================
 
-// 1. Feedback Sessions: Stores data while user edits in Modal
-const feedbackSessions = new Map();
+// Both live in MongoDB (see utilities/queueStore.js) so a deploy or crash
+// mid-review doesn't lose pending proposals.
+// 1. feedbackSessions: Stores data while user edits in Modal
+// 2. proposalQueues: Stores the list of tasks to send sequentially
+//    Key: traceId | Value: { tasks: [], statuses: [], currentIndex: 0, meetingTitle: "", targetDbId: "" }
+//    Each task carries its own targetDbId / targetDbTitle / routing; the queue-level targetDbId is only the fallback.
+
+// Writes the audit row for a card decision. The stored proposal (with its edit history)
+// is preferred over the button payload, which is trimmed for size.
+const auditCardDecision = async (traceId, taskData, outcome, user, extra = {}) => {
+    const queue = await proposalQueues.get(traceId);
+    const index = taskData.queueIndex ?? queue?.currentIndex;
+    const stored = queue?.tasks?.[index];
+    const task = stored && stored.title === taskData.title ? { ...stored, targetDbId: taskData.targetDbId } : taskData;
+    await recordDecision({ traceId, queue, index, task, outcome, user, ...extra });
+};
+
+// Records the decision on a card and, if it was the current card, sends the next one.
+// Clicks on stale cards (already decided, or from before a refinement) are ignored.
+const advanceQueue = async (traceId, taskData, outcome) => {
+    let index = taskData.queueIndex;
+    if (index === undefined) {
+        const queue = await proposalQueues.get(traceId);
+        if (!queue) return;
+        index = queue.currentIndex;
+    }
+
+    const queue = await proposalQueues.advance(traceId, index, outcome);
+    if (!queue) {
+        logger.warn(`Queue not advanced: proposal ${index + 1} is not the current card.`, { traceId });
+        // An Accept claimed it as 'applying' before writing: record the outcome anyway
+        await proposalQueues.setProposalStatus(traceId, index, outcome, { from: 'applying' });
+        return;
+    }
+    await sendNextProposal(traceId);
+};
+
 
-// 2. Proposal Queues: Stores the list of tasks to send sequentially
-// Key: traceId | Value: { tasks: [], currentIndex: 0, meetingTitle: "", targetDbId: "" }
-const proposalQueues = new Map();
+// One "who is this?" select per ambiguous owner name (card and digest).
+// Option values stay under Slack's 150-char limit: the name itself is looked up by ownerIndex.
+const buildOwnerPromptBlocks = (task, traceId, queueIndex) => (task.owner_ambiguous || []).map((entry, ownerIndex) => {
+    const optionValue = (personId) => JSON.stringify({ traceId, queueIndex, ownerIndex, personId });
+    return {
+        type: "section",
+        text: { type: "mrkdwn", text: `👤 *"${entry.name}"* matches several people${task.title ? ` (${task.title})` : ""}. Who is it?`.substring(0, 3000) },
+        accessory: {
+            type: "static_select",
+            action_id: "choose_owner",
+            placeholder: { type: "plain_text", text: "Choose person" },
+            options: [
+                ...entry.candidates.map(candidate => ({
+                    text: { type: "plain_text", text: `${candidate.display_name}${candidate.email ? ` (${candidate.email})` : ""}`.substring(0, 75) },
+                    value: optionValue(candidate.person_id)
+                })),
+                { text: { type: "plain_text", text: "None of these" }, value: optionValue(null) }
+            ]
+        }
+    };
+});
 
 
 // ==========================================================================
 //  HELPER: SEND NEXT PROPOSAL IN QUEUE (Sequential Logic)
 // ==========================================================================
 
+// UPDATE card: what Accept would change on the live page, per field. The page values the card
+// is built from are kept with the proposal (notion_base), so Accept can leave alone fields
+// someone edited in Notion in the meantime. Returns { diffs, task } or null if the page can't be read.
+const loadUpdateDiff = async (task, traceId, index) => {
+    const pageId = resolvePageId(task);
+    if (!pageId) return null;
+    try {
+        const { mapping } = await getValidatedMapping(notion, task.targetDbId || NOTION_TASK_DB_ID);
+        const page = await notion.pages.retrieve({ page_id: pageId });
+        const base = { page_id: pageId, last_edited_time: page.last_edited_time, values: readComparableValues(page, mapping) };
+        const stored = { ...task, notion_base: base };
+        await proposalQueues.replaceTask(traceId, index, stored);
+        return { diffs: diffAgainstPage(task, page, withoutNotes(mapping)), task: stored };
+    } catch (error) {
+        logger.error(`Failed to load Notion page ${pageId} for the diff`, error, { traceId });
+        return null;
+    }
+};
+
 const sendNextProposal = async (traceId) => {
-    const session = proposalQueues.get(traceId);
-    if (!session) {
+    let session = await proposalQueues.get(traceId);
+    if (!session || session.status !== 'open') {
         logger.warn("No active session found for this queue.", { traceId });
         return;
     }
 
+    // Proposals decided in a digest (before the queue switched to sequential) are passed over
+    const nextPending = session.statuses.findIndex((status, index) => index >= session.currentIndex && status === 'pending');
+    const target = nextPending === -1 ? session.tasks.length : nextPending;
+    if (target !== session.currentIndex) {
+        session = await proposalQueues.moveTo(traceId, session.currentIndex, target);
+        if (!session) return; // Someone else moved the pointer and posts the card
+    }
+
     // Check if we are done
     if (session.currentIndex >= session.tasks.length) {
         // All done! Send a summary.
@@ -57,22 +185,33 @@ const sendNextProposal = async (traceId) => {
             channel: SLACK_CHANNEL,
             text: `🏁 *All proposals for "${session.meetingTitle}" have been processed.*`,
         });
-        proposalQueues.delete(traceId); // Cleanup memory
+        await proposalQueues.complete(traceId);
         return;
     }
 
     // Get current task
-    const task = session.tasks[session.currentIndex];
+    let task = session.tasks[session.currentIndex];
+    const updateDiff = task.action === 'UPDATE' && (task.targetDbId ?? session.targetDbId)
+        ? await loadUpdateDiff({ ...task, targetDbId: task.targetDbId ?? session.targetDbId }, traceId, session.currentIndex)
+        : null;
+    if (updateDiff) task = { ...updateDiff.task, targetDbId: task.targetDbId };
     const proposalCount = `${session.currentIndex + 1} of ${session.tasks.length}`;
 
     // Prepare JSON Payloads (CRITICAL FIX for SKIP button)
     // We attach the traceId so the interaction handler knows which queue to advance
     const basePayload = {
         ...task,
-        targetDbId: session.targetDbId,
+        targetDbId: task.targetDbId ?? session.targetDbId,
         traceId: traceId,
         queueIndex: session.currentIndex 
     };
+    // Display / audit only, keeps the button value small
+    delete basePayload.revision;
+    delete basePayload.edit_history;
+    delete basePayload.schemaIssues;
+    delete basePayload.owner_ambiguous;
+    delete basePayload.evidence;
+    delete basePayload.notion_base;
 
     // Sanitize notes for payload size limits
     basePayload.notes = task.notes.length > 2000 ? task.notes.substring(0, 2000) + "..." : task.notes;
@@ -84,15 +223,51 @@ const sendNextProposal = async (traceId) => {
 
     blocks.push({
         type: "header",
-        text: { type: "plain_text", text: `Proposal ${proposalCount}`, emoji: true }
+        text: { type: "plain_text", text: `Proposal ${proposalCount}${task.iteration > 1 ? ` · Iteration ${task.iteration}` : ""}`, emoji: true }
     });
 
     // Trace Context
     blocks.push({
         type: "context",
-        elements: [{ type: "mrkdwn", text: `_Ref: ${traceId}_ | Project: ${task.project}_` }]
+        elements: [{ type: "mrkdwn", text: `_Ref: ${traceId}_ | Project: ${task.project} | Database: ${task.targetDbTitle || "Not selected"}${Number.isFinite(task.confidence) ? ` | Confidence: ${task.confidence.toFixed(2)}` : ""}_` }]
     });
 
+    // Database Routing: the project didn't match a data source, let the reviewer pick one
+    if (task.routing === 'fallback' || task.routing === 'unmatched') {
+        const routingNote = task.routing === 'fallback'
+            ? `⚠️ No database matched *${task.project}*. Using the default task database — choose another if needed.`
+            : `⚠️ No database matched *${task.project}*. Choose one before accepting.`;
+        try {
+            const databases = (await notionCatalog.listDatabases()).slice(0, 100); // Slack select limit
+            blocks.push({
+                type: "section",
+                text: { type: "mrkdwn", text: routingNote },
+                accessory: {
+                    type: "static_select",
+                    action_id: "choose_database",
+                    placeholder: { type: "plain_text", text: "Choose database" },
+                    options: databases.map(db => ({
+                        text: { type: "plain_text", text: db.title.substring(0, 75) },
+                        value: JSON.stringify({ traceId, queueIndex: session.currentIndex, targetDbId: db.id })
+                    }))
+                }
+            });
+        } catch (error) {
+            logger.error("Failed to load databases for routing", error, { traceId });
+        }
+    }
+
+    // Property mapping doesn't fit this database: say so now instead of failing on Accept
+    if (task.schemaIssues?.length) {
+        blocks.push({
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `⚠️ *Notion schema mismatch:* ${task.schemaIssues.join("; ")}`.substring(0, 3000) }]
+        });
+    }
+
+    // Owner names that match more than one person in the directory
+    blocks.push(...buildOwnerPromptBlocks(task, traceId, session.currentIndex));
+
     const jtbdDisplay = task.linked_jtbd_url && task.linked_jtbd_url.startsWith('http') 
         ? `<${task.linked_jtbd_url}|${task.linked_jtbd}>`
         : task.linked_jtbd || "TBD";
@@ -110,13 +285,13 @@ const sendNextProposal = async (traceId) => {
 ${existingTaskLine}
 *Linked JTBD:* ${jtbdDisplay}
 
-*Owner:* ${task.owner}
+*Owner:* ${formatOwnerMentions(task)}
 *Status:* ${task.status}
 *Priority:* ${task.priority || "Medium"}
 *Focus This Week?:* ${task.focus_this_week || "No"}
 *Dates:* ${task.start_date || "—"} to ${task.due_date || "—"}
 
-*Notes:*
+*${task.action === 'UPDATE' ? "Added to the meeting log" : "Notes"}:*
 ${task.notes}`;
 
     blocks.push({
@@ -124,19 +299,61 @@ ${task.notes}`;
         text: { type: "mrkdwn", text: detailsText }
     });
 
+    // UPDATE: field-by-field against the live page; Accept only writes the ticked fields
+    if (updateDiff?.diffs.length) {
+        blocks.push({
+            type: "section",
+            text: { type: "mrkdwn", text: `*📝 Changes vs. Notion:*\n${formatDiffLines(updateDiff.diffs)}`.substring(0, 3000) }
+        });
+        const fieldOptions = updateDiff.diffs.slice(0, 10).map(d => ({ // Slack checkbox limit
+            text: { type: "plain_text", text: d.label.substring(0, 75) },
+            value: d.field
+        }));
+        blocks.push({
+            type: "actions",
+            block_id: "update_fields",
+            elements: [{ type: "checkboxes", action_id: "update_fields", options: fieldOptions, initial_options: fieldOptions }]
+        });
+    } else if (updateDiff) {
+        blocks.push({
+            type: "context",
+            elements: [{ type: "mrkdwn", text: "No field differs from the Notion page. Accept only adds a meeting log entry to the page." }]
+        });
+    }
+
+    // Why this was proposed: transcript quotes with speaker and time
+    if (task.evidence?.length) {
+        blocks.push({
+            type: "section",
+            text: { type: "mrkdwn", text: `*🗣️ From the transcript:*\n${formatEvidenceForSlack(task.evidence)}`.substring(0, 3000) }
+        });
+    }
+
+    // What changed in this iteration (Feedback modal / AI refinement)
+    if (task.revision?.diff?.length) {
+        const instructionLine = task.revision.instruction ? `\n_Instruction: "${task.revision.instruction}"_` : "";
+        blocks.push({
+            type: "section",
+            text: { type: "mrkdwn", text: `*🔁 Changes in iteration ${task.revision.iteration}:*${instructionLine}\n${formatDiffLines(task.revision.diff)}`.substring(0, 3000) }
+        });
+    }
+
     // Buttons
     const btnText = task.action === 'CREATE' ? "✅ Accept & Create" : "✅ Accept & Update";
     
+    const acceptButton = {
+        type: "button",
+        text: { type: "plain_text", text: btnText },
+        style: "primary",
+        action_id: "accept_task",
+        value: buttonPayloadJSON
+    };
+
     blocks.push({
         type: "actions",
         elements: [
-            {
-                type: "button",
-                text: { type: "plain_text", text: btnText },
-                style: "primary",
-                action_id: "accept_task",
-                value: buttonPayloadJSON
-            },
+            // Accept is only offered once the proposal has a target database
+            ...(basePayload.targetDbId ? [acceptButton] : []),
             {
                 type: "button",
                 text: { type: "plain_text", text: "⏭️ Skip" },
@@ -166,6 +383,206 @@ ${task.notes}`;
 };
 
 
+// ==========================================================================
+//  HELPER: BATCH REVIEW DIGEST (One card, checkboxes, "Apply selected")
+// ==========================================================================
+// Alternative to the sequential loop for meetings with many routine tasks.
+// Slack caps a message at 50 blocks and a checkbox group at 10 options.
+const DIGEST_MAX_PROPOSALS = 40;
+const DIGEST_CHECKBOX_GROUP = 10;
+const DIGEST_STATUS_ICONS = { pending: "⬜", applying: "⏳", accepted: "✅", skipped: "⏭️" };
+const SLACK_MAX_BLOCKS = 50;
+
+const buildDigestBlocks = (queue, note = "") => {
+    const traceId = queue.traceId;
+    const pending = queue.statuses.map((status, index) => ({ status, index })).filter(p => p.status === 'pending');
+    const isOpen = queue.status === 'open' && pending.length > 0;
+    const blocks = [];
+
+    blocks.push({
+        type: "header",
+        text: { type: "plain_text", text: `📋 Review Digest: ${queue.meetingTitle}`.substring(0, 150), emoji: true }
+    });
+    blocks.push({
+        type: "context",
+        elements: [{ type: "mrkdwn", text: `_Ref: ${traceId}_ | ${queue.tasks.length - pending.length} of ${queue.tasks.length} decided` }]
+    });
+    blocks.push({ type: "divider" });
+
+    // Owner prompts only fit when the rest of the digest leaves room for them
+    const fixedBlocks = blocks.length + queue.tasks.length + 1 + 1 + Math.ceil(pending.length / DIGEST_CHECKBOX_GROUP) + 1;
+    const promptCount = pending.reduce((sum, { index }) => sum + (queue.tasks[index].owner_ambiguous || []).length, 0);
+    const showOwnerPrompts = isOpen && fixedBlocks + promptCount <= SLACK_MAX_BLOCKS;
+
+    queue.tasks.forEach((task, index) => {
+        const status = queue.statuses[index];
+        const typeLabel = task.action === 'CREATE' ? "Create" : "Update";
+        const row = {
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `${DIGEST_STATUS_ICONS[status] || "⬜"} *${index + 1}. ${task.title}*\n${typeLabel} · ${task.project} · Owner: ${formatOwnerMentions(task)}${task.owner_ambiguous?.length ? " ❓" : ""} · Due: ${task.due_date || "—"} · DB: ${task.targetDbTitle || "Not selected"}`
+            }
+        };
+        if (isOpen && status === 'pending') {
+            row.accessory = {
+                type: "button",
+                text: { type: "plain_text", text: "✏️ Edit" },
+                action_id: "digest_edit_task",
+                value: JSON.stringify({ traceId, queueIndex: index })
+            };
+        }
+        blocks.push(row);
+        if (showOwnerPrompts && status === 'pending') blocks.push(...buildOwnerPromptBlocks(task, traceId, index));
+    });
+
+    if (note) {
+        blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: note.substring(0, 3000) }] });
+    }
+
+    if (!isOpen) return blocks;
+
+    // Checkboxes (pre-selected), in groups of 10
+    blocks.push({ type: "divider" });
+    for (let i = 0; i < pending.length; i += DIGEST_CHECKBOX_GROUP) {
+        const options = pending.slice(i, i + DIGEST_CHECKBOX_GROUP).map(({ index }) => ({
+            text: { type: "plain_text", text: `${index + 1}. ${queue.tasks[index].title}`.substring(0, 75) },
+            value: String(index)
+        }));
+        blocks.push({
+            type: "actions",
+            block_id: `digest_select_${i / DIGEST_CHECKBOX_GROUP}`,
+            elements: [{ type: "checkboxes", action_id: "digest_select", options, initial_options: options }]
+        });
+    }
+
+    const buttonValue = JSON.stringify({ traceId });
+    blocks.push({
+        type: "actions",
+        elements: [
+            { type: "button", text: { type: "plain_text", text: "✅ Apply selected" }, style: "primary", action_id: "digest_apply_selected", value: buttonValue },
+            {
+                type: "button",
+                text: { type: "plain_text", text: "⏭️ Skip all" },
+                style: "danger",
+                action_id: "digest_skip_all",
+                value: buttonValue,
+                confirm: {
+                    title: { type: "plain_text", text: "Skip all?" },
+                    text: { type: "plain_text", text: "Every undecided proposal in this digest will be skipped." },
+                    confirm: { type: "plain_text", text: "Skip all" },
+                    deny: { type: "plain_text", text: "Cancel" }
+                }
+            }
+        ]
+    });
+
+    return blocks;
+};
+
+// Posts the digest, or refreshes it in place once it exists
+const sendDigest = async (traceId, note = "") => {
+    let queue = await proposalQueues.get(traceId);
+    if (!queue) {
+        logger.warn("No active session found for this digest.", { traceId });
+        return;
+    }
+
+    // Pending UPDATEs keep the page values they were posted against (notion_base), so
+    // "Apply selected" leaves alone fields edited in Notion since, as a card's Accept does
+    const unread = queue.tasks
+        .map((task, index) => ({ task, index }))
+        .filter(({ task, index }) => task.action === 'UPDATE' && !task.notion_base && queue.statuses[index] === 'pending');
+    for (const { task, index } of unread) await loadUpdateDiff(task, traceId, index);
+    if (unread.length) queue = await proposalQueues.get(traceId);
+
+    const blocks = buildDigestBlocks(queue, note);
+    try {
+        if (queue.digest) {
+            await slackClient.chat.update({ channel: queue.digest.channel, ts: queue.digest.ts, text: `Review Digest: ${queue.meetingTitle}`, blocks });
+        } else {
+            const result = await slackClient.chat.postMessage({ channel: SLACK_CHANNEL, text: `Review Digest: ${queue.meetingTitle}`, blocks });
+            await proposalQueues.setDigest(traceId, { channel: result.channel, ts: result.ts });
+            logger.info(`Sent digest with ${queue.tasks.length} proposals to Slack.`, { traceId });
+        }
+    } catch (error) {
+        logger.error("Failed to send Slack digest", error, { traceId });
+    }
+};
+
+// The digest can't be refreshed once it holds more than DIGEST_MAX_PROPOSALS (50-block limit):
+// close it with a note and review the rest one card at a time
+const switchDigestToSequential = async (traceId, reason) => {
+    const queue = await proposalQueues.switchToSequential(traceId);
+    if (!queue) return;
+    logger.warn(`${queue.tasks.length} proposals exceed the digest limit. Switching to sequential review.`, { traceId });
+    if (queue.digest) {
+        const text = `${reason} Too many proposals for one digest: the rest are reviewed one by one below.`;
+        await slackClient.chat.update({ channel: queue.digest.channel, ts: queue.digest.ts, text, blocks: [{ type: "section", text: { type: "mrkdwn", text } }] })
+            .catch(err => logger.error("Failed to close the digest", err, { traceId }));
+    }
+    await sendNextProposal(traceId);
+};
+
+// Closes the queue once nothing is pending (same summary as the sequential loop)
+const finishDigestIfDone = async (traceId) => {
+    const queue = await proposalQueues.get(traceId);
+    if (!queue || queue.status !== 'open' || queue.statuses.some(status => status === 'pending' || status === 'applying')) return;
+    await proposalQueues.complete(traceId);
+    await slackClient.chat.postMessage({
+        channel: SLACK_CHANNEL,
+        text: `🏁 *All proposals for "${queue.meetingTitle}" have been processed.*`,
+    });
+};
+
+// "Apply selected": same Notion write path as accept_task, one proposal at a time
+const applyDigestSelection = async (traceId, selectedIndexes, user) => {
+    const queue = await proposalQueues.get(traceId);
+    if (!queue || queue.status !== 'open') return;
+
+    let applied = 0;
+    const failures = [];
+    const notices = [];
+    for (const index of selectedIndexes) {
+        // Claim before writing: a second click (or a concurrent one) finds it no longer pending
+        if (!(await proposalQueues.setProposalStatus(traceId, index, 'applying'))) continue;
+        const task = { ...queue.tasks[index], targetDbId: queue.tasks[index].targetDbId ?? queue.targetDbId, traceId, queueIndex: index };
+        try {
+            const { successMsg, pageId, conflicts } = await applyProposalToNotion(task, traceId, { base: task.notion_base || null });
+            if (!successMsg) throw new Error("No Notion page to update");
+            if (conflicts.length) notices.push(`⚠️ ${index + 1}. ${task.title}: kept as edited in Notion since the digest was posted (${conflicts.map(field => PROPOSAL_FIELDS.find(f => f.key === field)?.label || field).join(", ")})`);
+            await proposalQueues.setProposalStatus(traceId, index, 'accepted', { from: 'applying' });
+            await recordDecision({ traceId, queue, index, task, outcome: 'accepted', user, notionPageId: pageId });
+            applied++;
+        } catch (err) {
+            logger.error(`Batch apply failed for proposal ${index + 1}`, err, { traceId });
+            await proposalQueues.setProposalStatus(traceId, index, 'pending', { from: 'applying' }); // Back in the list
+            await recordDecision({ traceId, queue, index, task, outcome: 'failed', user, error: err.message });
+            failures.push(`⚠️ ${index + 1}. ${task.title}: ${err.message}`);
+        }
+    }
+
+    const note = [`✅ Applied ${applied} of ${selectedIndexes.length} selected.`, ...notices, ...failures].join("\n");
+    await sendDigest(traceId, note);
+    await finishDigestIfDone(traceId);
+};
+
+const skipAllInDigest = async (traceId, user) => {
+    const queue = await proposalQueues.get(traceId);
+    if (!queue || queue.status !== 'open') return;
+
+    const pending = queue.statuses.map((status, index) => ({ status, index })).filter(p => p.status === 'pending');
+    for (const { index } of pending) {
+        await proposalQueues.setProposalStatus(traceId, index, 'skipped');
+        await recordDecision({ traceId, queue, index, outcome: 'skipped', user });
+    }
+    logger.info(`Skipped ${pending.length} proposals from digest.`, { traceId });
+
+    await sendDigest(traceId, `⏭️ Skipped ${pending.length} proposals.`);
+    await finishDigestIfDone(traceId);
+};
+
+
 // ==========================================================================
 //  HELPER: SEND SINGLE/BULK TASK (Legacy Support & Loop Reposting)
 // ==========================================================================
@@ -229,6 +646,23 @@ const openFeedbackModal = async (triggerId, task, sessionId) => {
         submit: { type: "plain_text", text: "Submit Feedback" },
         close: { type: "plain_text", text: "Cancel" },
         blocks: [
+          {
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `Iteration ${task.iteration || 1} · Edit the fields below and/or ask the AI to rewrite the proposal.` }]
+          },
+          {
+            type: "input",
+            block_id: "instruction_block",
+            optional: true,
+            label: { type: "plain_text", text: "✨ Instruction for AI (optional)" },
+            element: {
+                type: "plain_text_input",
+                action_id: "instruction",
+                multiline: true,
+                placeholder: { type: "plain_text", text: "e.g. \"split this into two tasks\" or \"make the owner Sara and push the due date a week\"" }
+            }
+          },
+          { type: "divider" },
           {
             type: "input",
             block_id: "title_block",
@@ -323,23 +757,86 @@ const openFeedbackModal = async (triggerId, task, sessionId) => {
 };
 
 
+// ==========================================================================
+//  HELPER: AI REFINEMENT (Feedback modal instruction)
+// ==========================================================================
+// Rewrites one proposal following a reviewer instruction ("split this into two tasks",
+// "make the owner Sara and push the due date a week"), grounded in the original transcript.
+// Resolves to one or more proposals: the first replaces the card, the rest are new CREATEs.
+const REFINE_TRANSCRIPT_CHARS = 50000;
+
+const refineProposalWithAI = async (priorTask, instruction, traceId) => {
+    const TranscriptModel = mongoose.model('NormalizedTranscript');
+    const record = await TranscriptModel.findOne({ transcript_id: traceId }, { raw_transcript: 1, meeting_title: 1 }).lean();
+    const transcript = record?.raw_transcript || "";
+    const clippedTranscript = transcript.length > REFINE_TRANSCRIPT_CHARS
+        ? `${transcript.substring(0, REFINE_TRANSCRIPT_CHARS)}\n[...transcript truncated...]`
+        : transcript;
+
+    const editableFields = PROPOSAL_FIELDS.map(f => f.key);
+    const priorVersion = Object.fromEntries(editableFields.map(key => [key, priorTask[key] ?? null]));
+
+    const prompt = `
+    You are the Prouvé Sync Manager. A reviewer wants a task proposal rewritten.
+
+    RULES:
+    - Follow the reviewer instruction exactly; keep every field it doesn't mention unchanged.
+    - If the instruction asks to split the task, return one entry per resulting task.
+    - Dates are YYYY-MM-DD. Resolve relative dates ("a week later") against the current values.
+    - status is one of "To do" | "In progress" | "Done"; priority is "High" | "Medium" | "Low"; focus_this_week is "Yes" | "No".
+    - Use the transcript only as supporting context; do not invent facts.
+
+    REVIEWER INSTRUCTION:
+    ${instruction}
+
+    CURRENT PROPOSAL (iteration ${priorTask.iteration || 1}):
+    ${JSON.stringify(priorVersion)}
+
+    MEETING: ${record?.meeting_title || "Unknown"}
+    TRANSCRIPT:
+    ${clippedTranscript || "(not available)"}
+
+    RETURN ONLY VALID JSON.
+    Structure: { "tasks": [ { ${editableFields.map(key => `"${key}": "..."`).join(", ")} } ] }
+    `;
+
+    logger.info(`Refining proposal with AI: "${instruction}"`, { traceId });
+    const result = await refineLLM.completeJSON({ messages: [{ role: "user", content: prompt }], traceId });
+    const tasks = Array.isArray(result?.tasks) ? result.tasks.filter(t => t && t.title) : [];
+    if (tasks.length === 0) throw new Error("Model returned no tasks");
+
+    const pickFields = (task) => Object.fromEntries(editableFields.filter(key => task[key] !== undefined).map(key => [key, task[key]]));
+
+    return tasks.map((task, i) => (i === 0
+        ? { ...priorTask, ...pickFields(task) }
+        // Split-off tasks keep the route (database) but are always new pages
+        : {
+            ...priorTask,
+            ...pickFields(task),
+            action: 'CREATE',
+            notion_url: "New Task",
+            id: undefined,
+            queueIndex: undefined
+        }));
+};
+
+
 // ==========================================================================
 //  HELPER: TRANSCRIPT NORMALIZATION
 // ==========================================================================
 
-const normalizeTranscript = async (transcript, initialData, traceId) => {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error("OpenAI API Key is missing.");
-    
+// Single extraction call. `part` ({ index, total }) is set when the text is one chunk of a longer transcript.
+const extractTranscriptPart = async (transcript, initialData, traceId, part = null) => {
    const jsonFormatSchema = {
-  "transcript_id": traceId || "generated_id", 
+  "transcript_id": "string", 
   "source": initialData.source,
   "source_id": initialData.source_id,
   "meeting_title": initialData.meeting_title,
-  "created_at": new Date().toISOString(),
-  "start_time": new Date(Date.now() - 3600000).toISOString(),
+  // Ids and timestamps are placeholders, not live values, so the prompt stays stable for record/replay
+  "created_at": "ISO 8601 datetime",
+  "start_time": "ISO 8601 datetime",
   "participants": [{ "name": "string", "email": "string", "role": "string" }],
-  "summary": { "generated_at": new Date().toISOString(), "key_points": ["string"], "action_items_count": "number", "decisions_count": "number" },
+  "summary": { "generated_at": "ISO 8601 datetime", "key_points": ["string"], "action_items_count": "number", "decisions_count": "number" },
   "extracted_entities": {
     "dates": ["string"], "people": ["string"], "decisions": ["string"],
     "projects": [
@@ -353,7 +850,8 @@ const normalizeTranscript = async (transcript, initialData, traceId) => {
             "priority_level": "High | Medium | Low", "source": "Virtual Meeting",
             "start_date": "YYYY-MM-DD or null", "due_date": "YYYY-MM-DD or null",
             "focus_this_week": "Yes | No",
-            "notes": "2–4 sentence paragraph explaining action, context, dependencies, next step"
+            "notes": "2–4 sentence paragraph explaining action, context, dependencies, next step",
+            "evidence": [{ "quote": "1–2 sentences copied word for word from the transcript that justify this task", "speaker": "string" }]
           }
         ],
         "associated_decisions": ["string"]
@@ -364,34 +862,73 @@ const normalizeTranscript = async (transcript, initialData, traceId) => {
   "quality_metrics": { "transcription_accuracy": 0.95, "normalization_confidence": "number" }
 };
 
+    const partNote = part
+        ? `NOTE: This is part ${part.index + 1} of ${part.total} of a longer meeting (parts overlap slightly). Extract only what is discussed in this part.\n    `
+        : "";
+
+    // Relative dates ("next Friday") are resolved from the meeting's date, not today's
+    const meetingDate = initialData.start_time ? new Date(initialData.start_time) : null;
+    const referenceDate = meetingDate && !Number.isNaN(meetingDate.getTime()) ? meetingDate : undefined;
+    const dateNote = referenceDate
+        ? `MEETING DATE: ${referenceDate.toISOString().substring(0, 10)}. Resolve relative dates ("next Friday") from this date.\n    `
+        : "";
+
     const prompt = `
     You are an expert task-extraction AI working for Prouvé projects.
     Analyze the transcript and extract structured tasks.
-    CRITICAL: Use "${traceId}" as the transcript_id in the output.
-    TRANSCRIPT: ${transcript}
+    ${partNote}${dateNote}TRANSCRIPT: ${transcript}
     OUTPUT JSON SCHEMA: ${JSON.stringify(jsonFormatSchema)}
     `;
 
+    // Coerced to the schema above; one repair round-trip, then the output is recorded and rejected
+    const { value } = await completeValidated(normalizeLLM, {
+        messages: [{ role: "user", content: prompt }],
+        traceId
+    }, output => validateNormalized(output, { referenceDate }));
+    return value;
+};
+
+const normalizeTranscript = async (transcript, initialData, traceId) => {
+    const chunks = chunkTranscript(transcript, { maxChars: NORMALIZE_CHUNK_CHARS, overlapBlocks: NORMALIZE_CHUNK_OVERLAP_BLOCKS });
+
     try {
-        logger.info('Sending request to OpenAI for normalization...', { traceId });
-        const fetchResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST",
-            headers: { "Content-Type": "application/json", "Authorization": `Bearer ${apiKey}` },
-            body: JSON.stringify({
-                model: "gpt-5.2",
-                messages: [{ role: "user", content: prompt }],
-                response_format: { type: "json_object" }
-            }),
-        });
+        // Short transcript: one prompt, as before
+        if (chunks.length <= 1) {
+            logger.info(`Sending request to ${normalizeLLM.config.model} for normalization...`, { traceId });
+            const normalizedJson = await extractTranscriptPart(transcript, initialData, traceId);
+            normalizedJson.transcript_id = traceId;
+            return normalizedJson;
+        }
 
-        if (!fetchResponse.ok) {
-            const errorText = await fetchResponse.text();
-            throw new Error(`OpenAI API Error: ${fetchResponse.status} - ${errorText}`);
+        // MAP: extract each chunk separately
+        logger.info(`Long transcript: normalizing in ${chunks.length} chunks...`, { traceId });
+        const results = [];
+        for (const chunk of chunks) {
+            const normalized = await extractTranscriptPart(chunk.text, initialData, traceId, { index: chunk.index, total: chunks.length });
+            results.push({ chunk, normalized });
+            logger.info(`Chunk ${chunk.index + 1}/${chunks.length} normalized.`, { traceId });
         }
 
-        const completion = await fetchResponse.json();
-        const normalizedJson = JSON.parse(completion.choices[0].message.content);
+        // REDUCE: one extracted_entities structure, with chunk provenance
+        const normalizedJson = mergeNormalizedChunks(results);
         normalizedJson.transcript_id = traceId;
+        normalizedJson.source_specific = {
+            ...(normalizedJson.source_specific || {}),
+            chunking: {
+                strategy: "speaker_block_map_reduce",
+                max_chars: NORMALIZE_CHUNK_CHARS,
+                overlap_blocks: NORMALIZE_CHUNK_OVERLAP_BLOCKS,
+                chunk_count: chunks.length,
+                chunks: results.map(({ chunk, normalized }) => ({
+                    index: chunk.index,
+                    start_block: chunk.start_block,
+                    end_block: chunk.end_block,
+                    chars: chunk.text.length,
+                    projects: (normalized.extracted_entities?.projects || []).map(p => p.project_name),
+                    tasks_extracted: (normalized.extracted_entities?.projects || []).reduce((sum, p) => sum + (p.tasks || []).length, 0)
+                }))
+            }
+        };
         return normalizedJson;
 
     } catch (error) {
@@ -445,6 +982,45 @@ const listAllNotionDatabases = async () => {
     }
 };
 
+// Validates the property mapping of a matched data source. Mismatches are logged and
+// returned as { schemaIssues } so the proposal card can show them before anyone clicks Accept.
+const checkDatabaseSchema = async (dataSourceId, traceId) => {
+    try {
+        const report = await getValidatedMapping(notion, dataSourceId);
+        if (report.errors.length === 0) return {};
+        logger.warn(formatIssues(report), { traceId });
+        return { schemaIssues: report.errors };
+    } catch (err) {
+        logger.warn(`Could not read schema of data source ${dataSourceId}: ${err.message}`, { traceId });
+        return {};
+    }
+};
+
+// Resolves one project block to a Notion data source.
+// routing: "matched" (LLM / title match) | "fallback" (NOTION_TASK_DB_ID) | "unmatched" (reviewer picks in Slack)
+const resolveProjectDatabase = async (projectName, allSources, traceId) => {
+    let chosenTitle = null;
+    try {
+        chosenTitle = await findBestDatabaseMatch(projectName, allSources, traceId);
+    } catch (err) { logger.error("Database match failed", err, { traceId }); }
+    if (!chosenTitle) chosenTitle = allSources.find(ds => ds.title.toLowerCase().includes(projectName.toLowerCase()))?.title;
+
+    const match = chosenTitle ? allSources.find(ds => ds.title === chosenTitle) : null;
+    if (match) {
+        logger.info(`Project "${projectName}" routed to "${match.title}"`, { traceId });
+        return { targetDbId: match.id, targetDbTitle: match.title, routing: 'matched', ...(await checkDatabaseSchema(match.id, traceId)) };
+    }
+
+    if (NOTION_TASK_DB_ID) {
+        logger.warn(`No Notion DB matched project "${projectName}". Using fallback DB.`, { traceId });
+        const fallback = allSources.find(ds => ds.id === NOTION_TASK_DB_ID);
+        return { targetDbId: NOTION_TASK_DB_ID, targetDbTitle: fallback?.title || "Default Task DB", routing: 'fallback', ...(await checkDatabaseSchema(NOTION_TASK_DB_ID, traceId)) };
+    }
+
+    logger.warn(`No Notion DB matched project "${projectName}". Reviewer must choose one.`, { traceId });
+    return { targetDbId: null, targetDbTitle: null, routing: 'unmatched' };
+};
+
 const fetchAllRowsInDataSource = async (data_source_id) => {
   const allPages = [];
   let cursor;
@@ -456,6 +1032,102 @@ const fetchAllRowsInDataSource = async (data_source_id) => {
   return allPages;
 };
 
+// Cached catalog over the two loaders above. Accepts write their page back into it.
+const notionCatalog = createNotionCatalog({
+  loadDatabases: listAllNotionDatabases,
+  loadRows: fetchAllRowsInDataSource,
+  ttlMs: NOTION_CACHE_TTL_MS
+});
+
+// Existing rows in the shape the CREATE/UPDATE comparison expects
+const fetchExistingTasks = async (data_source_id) => {
+  const allPages = await notionCatalog.getRows(data_source_id);
+  const mapping = getMapping(data_source_id);
+  return allPages.map(page => simplifyAnyPage(page, mapping)).map(page => ({
+      id: page.id || "", title: page.task || "", status: page.status || "", notes: page.notes || "",
+      url: `https://www.notion.so/${(page.id || "").replace(/-/g, "")}`
+  }));
+};
+
+// --- HELPER: CREATE VS UPDATE COMPARISON ---
+const compareWithExistingTasks = async (proposal, existingTasks, traceId) => {
+    const comparePrompt =  `
+        You are the Prouvé Sync Manager. Decide CREATED or UPDATED.
+        
+        MATCHING RULES:
+        - UPDATE only if the proposal clearly refers to the SAME OUTCOME
+        - Match by meaning, not wording
+        - If multiple matches exist, choose the BEST ONE
+
+        FIELD PRESERVATION RULE:
+        - owner MUST be copied from proposal.owner
+        - priority MUST be copied from proposal.priority
+        - linked_jtbd MUST be copied from proposal.linked_jtbd
+        - start_date MUST be copied from proposal.start_date
+        - due_date MUST be copied from proposal.due_date
+        - focus_this_week MUST be copied from proposal.focus_this_week
+
+        STRICT OUTPUT RULES:
+        - If UPDATE: notion_url MUST be copied EXACTLY from matched existing task
+        - If CREATE: notion_url MUST be exactly "New Task"
+
+        TASK PROPOSAL:
+        ${JSON.stringify(proposal)}
+
+        EXISTING NOTION TASKS:
+        ${JSON.stringify(existingTasks)}
+
+        CONFIDENCE:
+        - confidence is a number from 0 to 1: how sure you are of the action (and, for UPDATE, of the match)
+
+        RETURN ONLY VALID JSON. 
+        Structure: { action: "CREATE" | "UPDATE", notion_url: "...", title: "...", confidence: 0.0, ...all_fields }
+        `;
+    const { value } = await completeValidated(compareLLM, { messages: [{ role: "user", content: comparePrompt }], traceId },
+        output => validateCompare(output, { proposal, candidates: existingTasks }));
+    return value;
+};
+
+// Ranks the existing rows locally and only compares against the best candidates.
+// A proposal sharing no term with any row is a CREATE without an LLM call.
+const compareRanked = async (proposal, ranked, traceId) => {
+    if (COMPARE_MODE === 'deterministic') return deterministicCompare(proposal, ranked, { threshold: COMPARE_MATCH_THRESHOLD });
+    if (ranked.length === 0) return { ...proposal, action: 'CREATE', notion_url: "New Task", confidence: 1 };
+    try {
+        return await compareWithExistingTasks(proposal, ranked.map(entry => entry.task), traceId);
+    } catch (err) {
+        // Output still invalid after repair (already recorded): decide locally rather than drop the proposal
+        if (err.code !== 'LLM_OUTPUT_INVALID') throw err;
+        logger.warn(`${err.message}. Falling back to the deterministic comparison.`, { traceId });
+        return deterministicCompare(proposal, ranked, { threshold: COMPARE_MATCH_THRESHOLD });
+    }
+};
+
+// An UPDATE also carries the matched task's id, current title and status (auto-apply policy)
+const compareProposal = async (proposal, candidateIndex, traceId) => {
+    const ranked = rankCandidates(proposal, candidateIndex, { topN: COMPARE_TOP_N });
+    const result = await compareRanked(proposal, ranked, traceId);
+    const match = result.action === 'UPDATE' && ranked.find(entry => entry.task.id === result.id || entry.task.url === result.notion_url);
+    return match ? { ...result, existing: { id: match.task.id, title: match.task.title, status: match.task.status } } : result;
+};
+
+// Adds to an UPDATE's `existing` the mapped fields (Notes aside) it would change on the cached row,
+// so the policy can tell a status-only change from a wider one. Left out when the row can't be read.
+const withChangedFields = async (task, traceId) => {
+    if (!task.existing?.id) return task;
+    try {
+        const sourceId = task.targetDbId || NOTION_TASK_DB_ID;
+        const page = (await notionCatalog.getRows(sourceId)).find(row => row.id === task.existing.id);
+        if (!page) return task;
+        const { mapping } = await getValidatedMapping(notion, sourceId);
+        const changed = diffAgainstPage(task, page, withoutNotes(mapping)).map(diff => diff.field);
+        return { ...task, existing: { ...task.existing, changed_fields: changed } };
+    } catch (err) {
+        logger.warn(`Could not compare "${task.title}" with its Notion page: ${err.message}`, { traceId });
+        return task;
+    }
+};
+
 // --- HELPER: GENERATE TASK LIST (LEGACY) ---
 const generateTaskList = async (normalizedData, notionContext) => {
     const allAIExtractedTasks = normalizedData.extracted_entities.projects.flatMap(p => 
@@ -484,96 +1156,419 @@ const generateTaskList = async (normalizedData, notionContext) => {
 
 
 // ==========================================================================
-//  ENDPOINT: SLACK INTERACTION (SEQUENTIAL LOOP)
+//  HELPER: WRITE PROPOSAL TO NOTION (accept_task + batch "Apply selected")
 // ==========================================================================
 
-// ==========================================================================
-//  ENDPOINT: SLACK INTERACTION (ASYNC UPDATE FIX)
-// ==========================================================================
+// What the meeting log entry needs. Evidence quotes are dropped from the button payload (size);
+// read them back from the stored queue. Title and date come from the transcript record (the
+// queue doesn't exist yet while auto-applying).
+const loadMeetingContext = async (taskData, traceId) => {
+    const queue = await proposalQueues.get(traceId);
+    const stored = queue?.tasks?.[taskData.queueIndex];
+    const evidence = taskData.evidence || (stored && stored.title === taskData.title ? stored.evidence : null) || [];
+    const transcript = await mongoose.model('NormalizedTranscript')
+        .findOne({ transcript_id: traceId }, { meeting_title: 1, start_time: 1, created_at: 1 }).lean();
+    return {
+        evidence,
+        meetingTitle: queue?.meetingTitle || transcript?.meeting_title,
+        meetingDate: transcript?.start_time || transcript?.created_at || new Date(),
+        transcriptId: transcript ? traceId : null
+    };
+};
 
-app.post('/api/v1/slack-interaction', async (req, res) => {
-    try {
-        const payload = JSON.parse(req.body.payload);
-        const responseUrl = payload.response_url; // <--- KEY: Url to update message later
+// UPDATEs leave the Notes property alone: the notes go to the meeting log in the page body
+const withoutNotes = ({ notes, ...mapping }) => mapping;
 
-        // -------------------------------------
-        // CASE 1: BUTTON CLICKS (ACCEPT / SKIP)
-        // -------------------------------------
-        if (payload.type === 'block_actions') {
-            const action = payload.actions[0];
-            const taskData = JSON.parse(action.value);
-            const traceId = taskData.traceId || "no_trace_id";
+// Fields ticked on an UPDATE card (null when the card has no field picker). A Retry
+// message has no picker, so the selection travels in its button value, along with the
+// card it was clicked on (`origin`), which is updated once the Retry goes through.
+const selectedUpdateFields = (payload, taskData) => {
+    const picker = payload.state?.values?.update_fields;
+    if (picker) return (picker.update_fields?.selected_options || []).map(option => option.value);
+    return taskData.selected_fields || null;
+};
 
-            // 1. ACKNOWLEDGE IMMEDIATELY (Fixes 3s Timeout)
-            // We tell Slack "We got it, stop loading." We will update the UI later.
-            res.status(200).send(); 
+const retryValue = (payload, taskData) => {
+    const fields = selectedUpdateFields(payload, taskData);
+    const origin = taskData.origin || (payload.channel?.id && payload.message?.ts ? { channel: payload.channel.id, ts: payload.message.ts } : undefined);
+    return JSON.stringify({ ...taskData, ...(fields ? { selected_fields: fields } : {}), origin });
+};
 
-            // 2. PERFORM WORK IN BACKGROUND
-            (async () => {
-                try {
-                    // --- A. ACCEPT ---
-                    if (action.action_id === 'accept_task') {
-                        const sourceId = taskData.targetDbId || NOTION_TASK_DB_ID;
-                        const notionProperties = {
-                            "Tasks": { title: [{ text: { content: taskData.title } }] },
-                            "Status": { status: { name: taskData.status || "To do" } },
-                            "Jobs": { rich_text: [{ text: { content: taskData.linked_jtbd || "" } }] },
-                            "Owner": { rich_text: [{ text: { content: taskData.owner || "" } }] },
-                            "Priority Level": { select: { name: taskData.priority || "Medium" } },
-                            "Source": { select: { name: "Virtual Meeting" } },
-                            "Notes": { rich_text: [{ text: { content: taskData.notes || "" } }] },
-                            "Focus This Week": { checkbox: taskData.focus_this_week === "Yes" }
-                        };
-                        if (taskData.start_date) notionProperties["Start Date"] = { date: { start: taskData.start_date } };
-                        if (taskData.due_date) notionProperties["Due Date"] = { date: { start: taskData.due_date } };
-
-                        let successMsg = "";
-
-                        // -- Notion Operation --
-                        if (taskData.action === 'CREATE') {
-                            logger.info(`Creating task: ${taskData.title}`, { traceId });
-                            await notion.pages.create({ parent: { type: "data_source_id", data_source_id: sourceId }, properties: notionProperties });
-                            successMsg = `✅ *Successfully Created* \n${taskData.title}`;
-                        } else if (taskData.action === 'UPDATE') {
-                            let pageId = taskData.id; 
-                            if (!pageId && taskData.notion_url) {
-                                const matches = taskData.notion_url.match(/([a-f0-9]{32})/);
-                                if(matches) pageId = matches[0];
-                            }
-                            if (pageId) {
-                                logger.info(`Updating Page ID: ${pageId}`, { traceId });
-                                notionProperties["Notes"] = { rich_text: [{ text: { content: (taskData.notes || "") + "\n[Updated via Slack]" } }] };
-                                await notion.pages.update({ page_id: pageId, properties: notionProperties });
-                                successMsg = `✅ *Successfully Updated* \n${taskData.title}`;
-                            }
-                        }
+// The page an UPDATE proposal points at: its id, else the 32-hex id in its Notion URL
+const resolvePageId = (task) => {
+    if (task.id) return task.id;
+    return task.notion_url?.match(/([a-f0-9]{32})/)?.[0] || null;
+};
 
-                        // 3. SEND SUCCESS BOX (VIA AXIOS)
-                        // This updates the message *after* Notion is done
-                        if (responseUrl) {
-                            await axios.post(responseUrl, {
-                                replace_original: true,
-                                blocks: [
-                                    {
-                                        type: "section",
-                                        text: { type: "mrkdwn", text: successMsg }
-                                    }
-                                ]
+// UPDATE options:
+//   fields   - only write these task fields (reviewer selection, STATUS_UPDATE); default: every mapped field but Notes
+//   base     - the page values the card was built from ({ values }); fields edited in Notion since are left alone
+//   snapshot - keep the overwritten property values so the write can be undone, and the page's
+//              last_edited_time after the write (Undo refuses once someone edited the page since)
+// Every write appends a meeting log entry to the page body (utilities/meetingLog.js).
+// Returns { successMsg, pageId, snapshot, appendedBlockIds, conflicts, lastEditedTime }.
+const applyProposalToNotion = async (taskData, traceId, { fields = null, base = null, snapshot: keepSnapshot = false } = {}) => {
+    const sourceId = taskData.targetDbId || NOTION_TASK_DB_ID;
+    if (!sourceId) throw new Error(`No target database selected for "${taskData.title}"`);
+
+    // Property names / types come from the data source's mapping, checked against its live schema
+    const schemaReport = await getValidatedMapping(notion, sourceId);
+    if (schemaReport.errors.length) throw new Error(formatIssues(schemaReport));
+    const { mapping } = schemaReport;
+    let notionProperties = buildNotionProperties(taskData, mapping);
+    const { evidence, meetingTitle, meetingDate, transcriptId } = await loadMeetingContext(taskData, traceId);
+    const logBlocks = meetingLogBlocks({ meetingTitle, date: meetingDate, notes: taskData.notes, evidence, transcriptId });
+
+    let successMsg = "";
+    let pageId = null;
+    let snapshot = null;
+    let appendedBlockIds = [];
+    let conflicts = [];
+
+    // -- Notion Operation --
+    if (taskData.action === 'CREATE') {
+        // A Retry after a later step failed: the page (with its log entry) is already there
+        const queueIndex = taskData.queueIndex;
+        const queue = queueIndex !== undefined ? await proposalQueues.get(traceId) : null;
+        const createdPageId = queue?.tasks[queueIndex]?.title === taskData.title ? queue.createdPageIds[queueIndex] : null;
+        if (createdPageId) {
+            logger.info(`Task already created by an earlier attempt: ${taskData.title} (${createdPageId})`, { traceId });
+            pageId = createdPageId;
+        } else {
+            logger.info(`Creating task: ${taskData.title}`, { traceId });
+            const page = await notion.pages.create({
+                parent: { type: "data_source_id", data_source_id: sourceId },
+                properties: notionProperties,
+                children: logBlocks
+            });
+            pageId = page.id;
+            if (queue) await proposalQueues.recordCreatedPage(traceId, queueIndex, pageId);
+            notionCatalog.upsertRow(sourceId, page);
+        }
+        successMsg = `✅ *Successfully Created* \n${taskData.title}`;
+    } else if (taskData.action === 'UPDATE') {
+        pageId = resolvePageId(taskData);
+        // Nothing to write to: fail the Accept rather than audit it as accepted with no page
+        if (!pageId) throw new Error(`No Notion page to update for "${taskData.title}"`);
+        logger.info(`Updating Page ID: ${pageId}`, { traceId });
+        let writeFields = (fields || Object.keys(mapping)).filter(field => field !== 'notes');
+        // Read the page as it is now: for the edit check and the Undo snapshot
+        const current = keepSnapshot || base ? await notion.pages.retrieve({ page_id: pageId }) : null;
+        if (base) {
+            const now = readComparableValues(current, mapping);
+            conflicts = writeFields.filter(field => field in base.values && now[field] !== base.values[field]);
+            if (conflicts.length) logger.warn(`Edited in Notion since the card was posted, not overwritten: ${conflicts.join(", ")}`, { traceId });
+            writeFields = writeFields.filter(field => !conflicts.includes(field));
+        }
+        const names = new Set(writeFields.map(field => mapping[field]?.name).filter(Boolean));
+        notionProperties = Object.fromEntries(Object.entries(notionProperties).filter(([name]) => names.has(name)));
+        if (keepSnapshot) snapshot = { properties: snapshotProperties(current, Object.keys(notionProperties)), captured_at: new Date() };
+
+        // The log entry is the only place an UPDATE's notes go: without it nothing is written,
+        // so the Accept fails and a Retry starts from the same page
+        const appended = await notion.blocks.children.append({ block_id: pageId, children: logBlocks }).catch(err => {
+            throw new Error(`Could not add the meeting log entry to the page: ${err.message}`);
+        });
+        appendedBlockIds = (appended.results || []).map(block => block.id);
+        if (Object.keys(notionProperties).length) {
+            try {
+                const page = await notion.pages.update({ page_id: pageId, properties: notionProperties });
+                notionCatalog.upsertRow(sourceId, page);
+            } catch (err) {
+                // Take the entry back out, or a Retry would log the meeting twice
+                for (const blockId of appendedBlockIds) {
+                    await notion.blocks.delete({ block_id: blockId })
+                        .catch(deleteErr => logger.warn(`Could not remove meeting log block ${blockId}: ${deleteErr.message}`, { traceId }));
+                }
+                throw err;
+            }
+        }
+        const conflictLabels = conflicts.map(field => PROPOSAL_FIELDS.find(f => f.key === field)?.label || mapping[field].name);
+        successMsg = `✅ *Successfully Updated* \n${taskData.title}`
+            + (conflictLabels.length ? `\n⚠️ Kept as edited in Notion since the card was posted: ${conflictLabels.join(", ")}` : "");
+    }
+
+    // Read after every write (the log append changes it too); minute precision in Notion
+    let lastEditedTime = null;
+    if (keepSnapshot && pageId) {
+        lastEditedTime = await notion.pages.retrieve({ page_id: pageId })
+            .then(page => page.last_edited_time)
+            .catch(err => { logger.warn(`Could not read page ${pageId} after the write: ${err.message}`, { traceId }); return null; });
+    }
+
+    return { successMsg, pageId, snapshot, appendedBlockIds, conflicts, lastEditedTime };
+};
+
+
+// ==========================================================================
+//  HELPER: AUTO-APPLY (Policy) + UNDO
+// ==========================================================================
+// Proposals the policy lets through (utilities/autoApplyPolicy.js) are written right away and
+// listed in one summary message, each with an Undo button. The rest go to the review queue.
+const AUTO_SUMMARY_MAX_ITEMS = 45; // Slack caps a message at 50 blocks
+const AUTO_APPLY_KIND_LABELS = { CREATE: "Created", UPDATE: "Updated", STATUS_UPDATE: "Status changed" };
+// How long a write made by the pipeline (auto-apply or Accept) can be undone; 0 = no limit
+const DEFAULT_UNDO_WINDOW_MINUTES = 60;
+const UNDO_WINDOW_MINUTES = (() => {
+    const raw = process.env.UNDO_WINDOW_MINUTES;
+    if (raw === undefined || raw === "") return DEFAULT_UNDO_WINDOW_MINUTES;
+    const minutes = Number(raw);
+    if (Number.isFinite(minutes) && minutes >= 0) return minutes;
+    logger.warn(`UNDO_WINDOW_MINUTES "${raw}" is not a number of minutes. Using ${DEFAULT_UNDO_WINDOW_MINUTES}.`);
+    return DEFAULT_UNDO_WINDOW_MINUTES;
+})();
+const isUndoExpired = (appliedAt) => UNDO_WINDOW_MINUTES > 0 && Date.now() - new Date(appliedAt).getTime() > UNDO_WINDOW_MINUTES * 60 * 1000;
+
+// Which proposal an auto-applied entry was made for (a resumed run skips it)
+const autoAppliedKey = (task) => [task.project, task.action, task.title].join(" | ").toLowerCase();
+
+// Each write is recorded on the claimed queue right away (a later failure must not lose it).
+// Returns { applied: [auto_applied entries], failed: [proposals, back to review] }
+const autoApplyProposals = async (traceId, items, meetingTitle) => {
+    const applied = [];
+    const failed = [];
+    for (const { proposal, decision } of items) {
+        try {
+            const { pageId, snapshot, appendedBlockIds, lastEditedTime } = await applyProposalToNotion(proposal, traceId, {
+                fields: decision.kind === 'STATUS_UPDATE' ? ['status'] : null,
+                snapshot: true
+            });
+            const entry = {
+                task: proposal, kind: decision.kind, confidence: decision.confidence, reason: decision.reason,
+                page_id: pageId, target_db_id: proposal.targetDbId, snapshot, appended_block_ids: appendedBlockIds,
+                last_edited_time: lastEditedTime
+            };
+            applied.push(entry);
+            await proposalQueues.addAutoApplied(traceId, entry);
+            await recordDecision({ traceId, queue: { meetingTitle }, task: proposal, outcome: 'auto_applied', notionPageId: pageId });
+            logger.info(`Auto-applied "${proposal.title}" (${decision.kind}, ${decision.reason})`, { traceId });
+        } catch (err) {
+            logger.warn(`Auto-apply failed for "${proposal.title}", sending it to review: ${err.message}`, { traceId });
+            failed.push(proposal);
+        }
+    }
+    return { applied, failed };
+};
+
+const buildAutoSummaryBlocks = (queue) => {
+    const entries = queue.autoApplied;
+    const undone = entries.filter(e => e.status === 'undone').length;
+    const blocks = [
+        { type: "header", text: { type: "plain_text", text: `🤖 Auto-applied ${entries.length} proposal${entries.length === 1 ? "" : "s"}`, emoji: true } },
+        {
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `_Ref: ${queue.traceId}_ | ${queue.meetingTitle} | ${queue.tasks.length} left for review${undone ? ` | ${undone} undone` : ""}` }]
+        }
+    ];
+
+    entries.slice(0, AUTO_SUMMARY_MAX_ITEMS).forEach((entry, index) => {
+        const url = `https://www.notion.so/${String(entry.page_id || "").replace(/-/g, "")}`;
+        const title = entry.status === 'undone' ? `~${entry.task.title}~` : `<${url}|${entry.task.title}>`;
+        const icon = { applied: "✅", undoing: "⏳", undone: "↩️" }[entry.status] || "✅";
+        const block = {
+            type: "section",
+            text: { type: "mrkdwn", text: `${icon} *${AUTO_APPLY_KIND_LABELS[entry.kind] || entry.kind}:* ${title} · ${entry.task.project}\n_${entry.reason}_`.substring(0, 3000) }
+        };
+        if (entry.status === 'applied') {
+            block.accessory = {
+                type: "button",
+                text: { type: "plain_text", text: "↩️ Undo" },
+                action_id: "undo_auto_apply",
+                value: JSON.stringify({ traceId: queue.traceId, autoIndex: index })
+            };
+        }
+        blocks.push(block);
+    });
+
+    if (entries.length > AUTO_SUMMARY_MAX_ITEMS) {
+        blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `…and ${entries.length - AUTO_SUMMARY_MAX_ITEMS} more` }] });
+    }
+    return blocks;
+};
+
+const postAutoSummary = async (traceId) => {
+    const queue = await proposalQueues.get(traceId);
+    if (!queue?.autoApplied.length) return;
+    try {
+        const result = await slackClient.chat.postMessage({
+            channel: SLACK_CHANNEL,
+            text: `Auto-applied ${queue.autoApplied.length} proposal(s) for "${queue.meetingTitle}"`,
+            blocks: buildAutoSummaryBlocks(queue)
+        });
+        await proposalQueues.setAutoSummary(traceId, { channel: result.channel, ts: result.ts });
+    } catch (error) {
+        logger.error("Failed to send auto-apply summary", error, { traceId });
+    }
+};
+
+// CREATE: the page goes to the trash. UPDATE: the overwritten properties are restored and the
+// appended evidence removed. Shared by the auto-apply summary and the Accept success message:
+// `setStatus(from, to)` moves the stored entry applied -> undoing -> undone, so two clicks can't both run.
+// Returns the queue, or null when the entry was already undone.
+const revertNotionWrite = async ({ traceId, index, entry, created, task, user, setStatus }) => {
+    if (!entry || entry.status !== 'applied') {
+        logger.warn(`"${task?.title}" is not undoable (already undone?).`, { traceId });
+        return null;
+    }
+    if (isUndoExpired(entry.applied_at)) throw new Error(`the undo window (${UNDO_WINDOW_MINUTES} min) has passed`);
+    if (!created && !entry.snapshot) throw new Error("no snapshot was taken before the update");
+    // Restoring (or trashing) would throw away whatever was changed on the page after our write
+    if (entry.last_edited_time) {
+        const page = await notion.pages.retrieve({ page_id: entry.page_id });
+        if (page.last_edited_time !== entry.last_edited_time) {
+            const error = new Error(`the page was edited in Notion after this write (${page.last_edited_time}); undo it there instead`);
+            error.code = 'EDITED_SINCE';
+            throw error;
+        }
+    }
+
+    const claimed = await setStatus('applied', 'undoing');
+    if (!claimed) return null;
+    try {
+        if (created) {
+            await notion.pages.update({ page_id: entry.page_id, in_trash: true });
+        } else {
+            await restorePageSnapshot(notion, entry.page_id, entry.snapshot, { appendedBlockIds: entry.appended_block_ids });
+        }
+    } catch (err) {
+        await setStatus('undoing', 'applied');
+        throw err;
+    }
+    notionCatalog.invalidate(entry.target_db_id);
+    await recordDecision({ traceId, queue: claimed, index, task, outcome: 'undone', user, notionPageId: entry.page_id });
+    logger.info(`Undid "${task.title}" (${created ? 'page trashed' : 'properties restored'})`, { traceId });
+    return setStatus('undoing', 'undone');
+};
+
+const undoAutoApplied = async (traceId, autoIndex, user) => {
+    const entry = (await proposalQueues.get(traceId))?.autoApplied[autoIndex];
+    return revertNotionWrite({
+        traceId, entry, created: entry?.kind === 'CREATE', task: entry?.task, user,
+        setStatus: (from, to) => proposalQueues.setAutoAppliedStatus(traceId, autoIndex, from, to)
+    });
+};
+
+const undoAcceptedProposal = async (traceId, index, user) => {
+    const queue = await proposalQueues.get(traceId);
+    const entry = queue?.writes[index];
+    return revertNotionWrite({
+        traceId, index, entry, created: entry?.action === 'CREATE', task: queue?.tasks[index], user,
+        setStatus: (from, to) => proposalQueues.setWriteStatus(traceId, index, from, to)
+    });
+};
+
+
+// ==========================================================================
+//  ENDPOINT: SLACK INTERACTION (SEQUENTIAL LOOP)
+// ==========================================================================
+
+// ==========================================================================
+//  ENDPOINT: SLACK INTERACTION (ASYNC UPDATE FIX)
+// ==========================================================================
+
+app.post('/api/v1/slack-interaction', assignTraceId, verifySlack, async (req, res) => {
+    try {
+        const payload = JSON.parse(req.body.payload);
+        const responseUrl = payload.response_url; // <--- KEY: Url to update message later
+
+        // -------------------------------------
+        // CASE 1: BUTTON CLICKS (ACCEPT / SKIP)
+        // -------------------------------------
+        if (payload.type === 'block_actions') {
+            const action = payload.actions[0];
+
+            // Digest checkboxes are read from `state` on "Apply selected"; toggling them needs no work
+            if (action.type === 'checkboxes') return res.status(200).send();
+
+            // Buttons carry the payload in `value`, the database select in the chosen option
+            const taskData = JSON.parse(action.value || action.selected_option.value);
+            const traceId = taskData.traceId || "no_trace_id";
+
+            // 1. ACKNOWLEDGE IMMEDIATELY (Fixes 3s Timeout)
+            // We tell Slack "We got it, stop loading." We will update the UI later.
+            res.status(200).send(); 
+
+            // 2. PERFORM WORK IN BACKGROUND
+            (async () => {
+                try {
+                    // --- A. ACCEPT (or Retry after a failed write) ---
+                    if (action.action_id === 'accept_task' || action.action_id === 'retry_accept') {
+                        // `/readai cancel` dropped this review: its cards must not write anymore
+                        const queue = await proposalQueues.get(traceId);
+                        if (queue?.status === 'cancelled') {
+                            if (responseUrl) await axios.post(responseUrl, { replace_original: false, response_type: "ephemeral", text: "🛑 This review was cancelled." });
+                            return;
+                        }
+                        // UPDATE card: only the ticked fields, and none edited in Notion since the card was posted
+                        const fields = selectedUpdateFields(payload, taskData);
+                        if (fields && !fields.length) {
+                            if (responseUrl) await axios.post(responseUrl, { replace_original: false, response_type: "ephemeral", text: "Select at least one field to update." });
+                            return;
+                        }
+                        const stored = queue?.tasks?.[taskData.queueIndex];
+                        const base = stored && stored.title === taskData.title ? stored.notion_base : null;
+                        // Claim the proposal before writing: a repeated click finds it no longer pending
+                        // and writes nothing (no second meeting log entry)
+                        const claimed = queue && taskData.queueIndex !== undefined;
+                        if (claimed && !(await proposalQueues.setProposalStatus(traceId, taskData.queueIndex, 'applying'))) {
+                            if (responseUrl) await axios.post(responseUrl, { replace_original: false, response_type: "ephemeral", text: "This proposal was already decided or is being written." });
+                            return;
+                        }
+                        let result;
+                        try {
+                            result = await applyProposalToNotion(taskData, traceId, { snapshot: true, fields, base });
+                        } catch (err) {
+                            // Nothing was kept in Notion: back to pending so a Retry can claim it again
+                            if (claimed) await proposalQueues.setProposalStatus(traceId, taskData.queueIndex, 'pending', { from: 'applying' });
+                            await auditCardDecision(traceId, taskData, 'failed', payload.user, { error: err.message });
+                            throw err;
+                        }
+                        const { successMsg, pageId, snapshot, appendedBlockIds, lastEditedTime } = result;
+                        await auditCardDecision(traceId, taskData, 'accepted', payload.user, { notionPageId: pageId });
+
+                        // Keep the write (and the pre-update snapshot) with the proposal for Undo
+                        const undoable = pageId && taskData.queueIndex !== undefined && (taskData.action === 'CREATE' || snapshot);
+                        if (undoable) {
+                            await proposalQueues.recordWrite(traceId, taskData.queueIndex, {
+                                action: taskData.action, page_id: pageId, target_db_id: taskData.targetDbId || NOTION_TASK_DB_ID,
+                                snapshot, appended_block_ids: appendedBlockIds, last_edited_time: lastEditedTime
                             });
                         }
 
-                        // 4. TRIGGER NEXT ITEM
-                        const queue = proposalQueues.get(traceId);
-                        if (queue) {
-                            queue.currentIndex++; 
-                            proposalQueues.set(traceId, queue);
-                            await sendNextProposal(traceId);
+                        // 3. SEND SUCCESS BOX (VIA AXIOS)
+                        // This updates the message *after* Notion is done
+                        const successBlocks = [
+                            {
+                                type: "section",
+                                text: { type: "mrkdwn", text: successMsg },
+                                ...(undoable ? {
+                                    accessory: {
+                                        type: "button",
+                                        text: { type: "plain_text", text: "↩️ Undo" },
+                                        action_id: "undo_accept",
+                                        value: JSON.stringify({ traceId, queueIndex: taskData.queueIndex })
+                                    }
+                                } : {})
+                            }
+                        ];
+                        if (undoable && UNDO_WINDOW_MINUTES > 0) {
+                            successBlocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `_Undo is available for ${UNDO_WINDOW_MINUTES} min._` }] });
+                        }
+                        if (responseUrl) await axios.post(responseUrl, { replace_original: true, blocks: successBlocks });
+                        // A Retry went through: the card it came from must not offer Accept anymore
+                        if (action.action_id === 'retry_accept' && taskData.origin) {
+                            await slackClient.chat.update({ channel: taskData.origin.channel, ts: taskData.origin.ts, text: successMsg, blocks: successBlocks })
+                                .catch(err => logger.warn(`Could not update the original card: ${err.message}`, { traceId }));
                         }
+
+                        // 4. TRIGGER NEXT ITEM
+                        await advanceQueue(traceId, taskData, 'accepted');
                     } 
                     
                     // --- B. SKIP ---
                     else if (action.action_id === 'skip_task') {
                         logger.info(`Skipped task: ${taskData.title}`, { traceId });
+                        await auditCardDecision(traceId, taskData, 'skipped', payload.user);
                         
                         // Send Skip Box
                         if (responseUrl) {
@@ -589,24 +1584,177 @@ app.post('/api/v1/slack-interaction', async (req, res) => {
                         }
 
                         // Trigger Next
-                        const queue = proposalQueues.get(traceId);
-                        if (queue) {
-                            queue.currentIndex++; 
-                            proposalQueues.set(traceId, queue);
+                        await advanceQueue(traceId, taskData, 'skipped');
+                    }
+
+                    // --- C. CHOOSE DATABASE (UNMATCHED PROJECT) ---
+                    else if (action.action_id === 'choose_database') {
+                        const targetDbTitle = action.selected_option.text.text;
+                        const queue = await proposalQueues.get(traceId);
+                        const current = queue?.tasks[taskData.queueIndex];
+                        if (!queue || queue.status !== 'open' || !current || taskData.queueIndex !== queue.currentIndex) {
+                            logger.warn("Database chosen on a stale card. Ignoring.", { traceId });
+                            return;
+                        }
+                        logger.info(`Project "${current.project}" routed to "${targetDbTitle}" by reviewer`, { traceId });
+
+                        // Apply the choice to this card and every remaining card of the same project,
+                        // re-running the CREATE/UPDATE comparison against the chosen database.
+                        const candidateIndex = buildCandidateIndex(await fetchExistingTasks(taskData.targetDbId));
+                        const route = { targetDbId: taskData.targetDbId, targetDbTitle, routing: 'chosen', schemaIssues: undefined, ...(await checkDatabaseSchema(taskData.targetDbId, traceId)) };
+
+                        for (let i = queue.currentIndex; i < queue.tasks.length; i++) {
+                            const task = queue.tasks[i];
+                            if (task.project !== current.project || task.routing === 'matched') continue;
+                            let result = { ...task, action: 'CREATE', notion_url: "New Task" };
+                            try {
+                                const { evidence, ...comparable } = task;
+                                result = await compareProposal(comparable, candidateIndex, traceId);
+                            } catch (err) { logger.error("Comparison error", err, { traceId }); }
+                            await proposalQueues.replaceTask(traceId, i, { ...task, ...result, ...route });
+                        }
+
+                        if (responseUrl) {
+                            await axios.post(responseUrl, {
+                                replace_original: true,
+                                blocks: [
+                                    {
+                                        type: "section",
+                                        text: { type: "mrkdwn", text: `📂 *${current.project}* routed to *${targetDbTitle}*` }
+                                    }
+                                ]
+                            });
+                        }
+
+                        // Repost the current card with the new target
+                        await sendNextProposal(traceId);
+                    }
+
+                    // --- C2. CHOOSE OWNER (AMBIGUOUS NAME) ---
+                    else if (action.action_id === 'choose_owner') {
+                        const queue = await proposalQueues.get(traceId);
+                        const index = taskData.queueIndex;
+                        const current = queue?.tasks[index];
+                        const entry = current?.owner_ambiguous?.[taskData.ownerIndex];
+                        const isCurrent = queue?.reviewMode === 'batch' ? queue.statuses[index] === 'pending' : index === queue?.currentIndex;
+                        if (!queue || queue.status !== 'open' || !entry || !isCurrent) {
+                            logger.warn("Owner chosen on a stale card. Ignoring.", { traceId });
+                            return;
+                        }
+
+                        // The choice is also saved as an alias, so the same name resolves next time
+                        const updated = await chooseOwner(current, entry.name, taskData.personId);
+                        await proposalQueues.replaceTask(traceId, index, updated);
+                        const chosenText = taskData.personId ? `*${action.selected_option.text.text}*` : "nobody in the directory";
+                        logger.info(`Owner "${entry.name}" resolved by reviewer`, { traceId });
+
+                        if (queue.reviewMode === 'batch') {
+                            await sendDigest(traceId, `👤 "${entry.name}" on proposal ${index + 1} is ${chosenText}.`);
+                        } else {
+                            if (responseUrl) {
+                                await axios.post(responseUrl, {
+                                    replace_original: true,
+                                    blocks: [
+                                        {
+                                            type: "section",
+                                            text: { type: "mrkdwn", text: `👤 "${entry.name}" is ${chosenText}` }
+                                        }
+                                    ]
+                                });
+                            }
                             await sendNextProposal(traceId);
                         }
                     }
 
-                    // --- C. FEEDBACK (OPEN MODAL) ---
+                    // --- D. BATCH DIGEST: APPLY SELECTED / SKIP ALL ---
+                    else if (action.action_id === 'digest_apply_selected') {
+                        const selectedIndexes = Object.entries(payload.state?.values || {})
+                            .filter(([blockId]) => blockId.startsWith('digest_select_'))
+                            .flatMap(([, elements]) => Object.values(elements))
+                            .flatMap(element => (element.selected_options || []).map(option => Number(option.value)));
+                        logger.info(`Applying ${selectedIndexes.length} selected proposals from digest.`, { traceId });
+                        await applyDigestSelection(traceId, selectedIndexes, payload.user);
+                    }
+                    else if (action.action_id === 'digest_skip_all') {
+                        await skipAllInDigest(traceId, payload.user);
+                    }
+
+                    // --- E. BATCH DIGEST: EDIT ROW (OPEN MODAL) ---
+                    else if (action.action_id === 'digest_edit_task') {
+                        const queue = await proposalQueues.get(traceId);
+                        const task = queue?.tasks[taskData.queueIndex];
+                        if (!task || queue.statuses[taskData.queueIndex] !== 'pending') {
+                            logger.warn("Edit requested for a decided or missing proposal. Ignoring.", { traceId });
+                            return;
+                        }
+                        const rowTask = { ...task, traceId, queueIndex: taskData.queueIndex };
+                        const sessionId = crypto.randomUUID();
+                        const iteration = rowTask.iteration || 1;
+                        await feedbackSessions.set(sessionId, { task: rowTask, iteration, traceId: traceId });
+                        await openFeedbackModal(payload.trigger_id, { ...rowTask, iteration }, sessionId);
+                    }
+
+                    // --- F. FEEDBACK (OPEN MODAL) ---
                     else if (action.action_id === 'feedback_task') {
                         const sessionId = crypto.randomUUID();
-                        feedbackSessions.set(sessionId, { task: taskData, iteration: 1, traceId: traceId });
-                        // We ack'd early, but trigger_id is still valid for 3 seconds. Open modal now.
-                        await openFeedbackModal(payload.trigger_id, { ...taskData, iteration: 1 }, sessionId);
+                        // trigger_id is valid for 3 seconds: persist the session first (one upsert) so a fast submit finds it
+                        const iteration = taskData.iteration || 1;
+                        await feedbackSessions.set(sessionId, { task: taskData, iteration, traceId: traceId });
+                        await openFeedbackModal(payload.trigger_id, { ...taskData, iteration }, sessionId);
+                    }
+
+                    // --- G. UNDO AN ACCEPTED PROPOSAL ---
+                    else if (action.action_id === 'undo_accept') {
+                        const queue = await undoAcceptedProposal(traceId, taskData.queueIndex, payload.user);
+                        if (queue && responseUrl) {
+                            const write = queue.writes[taskData.queueIndex];
+                            const how = write.action === 'CREATE' ? "the page was moved to the trash" : "the previous values were restored";
+                            await axios.post(responseUrl, {
+                                replace_original: true,
+                                blocks: [
+                                    { type: "section", text: { type: "mrkdwn", text: `↩️ *Undone* \n~${queue.tasks[taskData.queueIndex].title}~ — ${how}.` } },
+                                    { type: "context", elements: [{ type: "mrkdwn", text: `_Undone by <@${payload.user.id}>_` }] }
+                                ]
+                            });
+                        }
+                    }
+
+                    // --- H. UNDO AN AUTO-APPLIED PROPOSAL ---
+                    else if (action.action_id === 'undo_auto_apply') {
+                        const queue = await undoAutoApplied(traceId, taskData.autoIndex, payload.user);
+                        if (queue && responseUrl) {
+                            await axios.post(responseUrl, { replace_original: true, blocks: buildAutoSummaryBlocks(queue) });
+                        }
                     }
 
                 } catch (err) {
                     logger.error("Async Interaction Failed", err, { traceId });
+                    // Tell the reviewer on the card itself (the card stays, so they can fix and retry).
+                    // Retry re-runs the same write; the queue only advances once it succeeds.
+                    if (responseUrl && (action.action_id === 'accept_task' || action.action_id === 'retry_accept')) {
+                        const text = `❌ Could not write "${taskData.title}" to Notion: ${err.message}`;
+                        await axios.post(responseUrl, {
+                            replace_original: action.action_id === 'retry_accept',
+                            response_type: "ephemeral",
+                            text,
+                            blocks: [
+                                { type: "section", text: { type: "mrkdwn", text } },
+                                {
+                                    type: "actions",
+                                    elements: [
+                                        { type: "button", text: { type: "plain_text", text: "🔁 Retry" }, action_id: "retry_accept", value: retryValue(payload, taskData) }
+                                    ]
+                                }
+                            ]
+                        }).catch(() => {});
+                    }
+                    if (responseUrl && (action.action_id === 'undo_auto_apply' || action.action_id === 'undo_accept')) {
+                        await axios.post(responseUrl, {
+                            replace_original: false,
+                            response_type: "ephemeral",
+                            text: `❌ Could not undo: ${err.message}`
+                        }).catch(() => {});
+                    }
                 }
             })();
 
@@ -621,7 +1769,7 @@ app.post('/api/v1/slack-interaction', async (req, res) => {
             // We CANNOT ack immediately with empty 200 here. We must return the json at the end.
             
             const metadata = JSON.parse(payload.view.private_metadata);
-            const session = feedbackSessions.get(metadata.sessionId);
+            const session = await feedbackSessions.get(metadata.sessionId);
             if (!session) return res.status(200).json({ response_action: "clear" }); 
 
             const v = payload.view.state.values;
@@ -629,10 +1777,10 @@ app.post('/api/v1/slack-interaction', async (req, res) => {
             const getTxt = (block, action) => v[block]?.[action]?.selected_option?.text?.text;
             const getDate = (block, action) => v[block]?.[action]?.selected_date;
 
-            const updatedTask = {
-                ...session.task,
+            const instruction = getVal('instruction_block', 'instruction')?.trim();
+            const modalFields = {
                 title: getVal('title_block', 'title'),
-                notes: getVal('notes_block', 'notes') + "\n(Refined by User)",
+                notes: getVal('notes_block', 'notes'),
                 owner: getVal('owner_block', 'owner'),
                 project: getVal('project_block', 'project'),
                 priority: getTxt('priority_block', 'priority'), 
@@ -643,17 +1791,88 @@ app.post('/api/v1/slack-interaction', async (req, res) => {
                 linked_jtbd: getVal('jtbd_block', 'jtbd')
             };
 
-            const queue = proposalQueues.get(session.traceId);
-            if (queue) {
-                // Update memory
-                queue.tasks[queue.currentIndex] = updatedTask;
-                proposalQueues.set(session.traceId, queue);
-                
-                // Repost the message (re-triggers the "sendNext" logic but keeps index same)
-                setTimeout(() => sendNextProposal(session.traceId), 500); 
+            const queue = await proposalQueues.get(session.traceId);
+            if (!queue || queue.status !== 'open') return res.status(200).json({ response_action: "clear" });
+
+            // The proposal the modal was opened for, even if the queue has moved on since
+            const traceId = session.traceId;
+            const index = session.task.queueIndex;
+            const stored = queue.tasks[index];
+            if (!stored || queue.statuses[index] !== 'pending' || stored.title !== session.task.title) {
+                return res.status(200).json({
+                    response_action: "errors",
+                    errors: { title_block: "This proposal was already decided or revised. Close this window and edit the current card." }
+                });
             }
+            await feedbackSessions.delete(metadata.sessionId);
+
+            // Close the modal now: an AI rewrite takes longer than Slack's 3s window
+            res.status(200).json({ response_action: "clear" });
+
+            // Start from the stored proposal (the card payload is trimmed: notes cut, no schemaIssues /
+            // notion_base / existing) and take only the fields the reviewer changed in the modal
+            const asText = (value) => String(value ?? "");
+            const changes = Object.fromEntries(Object.entries(modalFields).filter(([field, value]) => asText(value) !== asText(session.task[field])));
+            const editedTask = { ...stored, ...changes, queueIndex: index };
+            const iteration = (session.iteration || 1) + 1;
+
+            (async () => {
+                let revisedTasks = [{ ...editedTask, notes: editedTask.notes + "\n(Refined by User)" }];
+                let failureNote = "";
+                if (instruction) {
+                    try {
+                        revisedTasks = await refineProposalWithAI(editedTask, instruction, traceId);
+                    } catch (err) {
+                        logger.error("AI refinement failed. Keeping manual edits.", err, { traceId });
+                        failureNote = `⚠️ AI refinement failed (${err.message}). Manual edits were kept.`;
+                    }
+                }
+
+                // Refinement keeps the evidence of the proposal it came from
+                const storedEvidence = stored.evidence;
+                revisedTasks = revisedTasks.map(task => ({ ...task, evidence: task.evidence || storedEvidence }));
 
-            return res.status(200).json({ response_action: "clear" });
+                // The owner may have been edited or rewritten: match it against the directory again
+                try {
+                    const meeting = await getTranscript(traceId, { includeRaw: false });
+                    revisedTasks = await resolveTaskOwners(revisedTasks, { participants: meeting?.participants || [] });
+                } catch (err) {
+                    logger.error("Owner resolution failed", err, { traceId });
+                }
+
+                // First version replaces the card; extra versions (a split) are queued right after it
+                const [primary, ...extras] = revisedTasks.map(task => ({ ...task, iteration }));
+                // The "(Refined by User)" marker isn't a change worth showing in the diff
+                const withoutMarker = (task) => ({ ...task, notes: String(task.notes || "").replace(/\n\(Refined by User\)/g, "") });
+                primary.revision = { iteration, instruction: instruction || null, diff: diffProposals(withoutMarker(stored), withoutMarker(primary)) };
+                // Audit trail: every modal round, kept on the stored proposal (not the trimmed button payload)
+                primary.edit_history = [
+                    ...(stored.edit_history || []),
+                    { ...primary.revision, edited_by: reviewerFromSlack(payload.user), edited_at: new Date().toISOString() }
+                ];
+
+                await proposalQueues.replaceTask(traceId, index, primary);
+                if (extras.length) {
+                    await proposalQueues.insertTasks(traceId, index + 1, extras);
+                    logger.info(`Proposal split into ${revisedTasks.length} tasks.`, { traceId });
+                }
+
+                // A split can push the digest past what one Slack message holds: continue card by card
+                if (queue.reviewMode === 'batch' && extras.length && queue.tasks.length + extras.length > DIGEST_MAX_PROPOSALS) {
+                    await switchDigestToSequential(traceId, `✏️ Proposal ${index + 1} was split into ${revisedTasks.length} proposals.`);
+                } else if (queue.reviewMode === 'batch') {
+                    // Refresh the digest in place
+                    const splitNote = extras.length ? ` Split into ${revisedTasks.length} proposals.` : "";
+                    const note = [`✏️ Proposal ${index + 1} revised (iteration ${iteration}).${splitNote}`, formatDiffLines(primary.revision.diff), failureNote].filter(Boolean).join("\n");
+                    await sendDigest(traceId, note);
+                } else {
+                    if (failureNote) await slackClient.chat.postMessage({ channel: SLACK_CHANNEL, text: failureNote });
+                    // Repost the message (re-triggers the "sendNext" logic but keeps index same)
+                    await sendNextProposal(traceId);
+                }
+            })().catch(err => logger.error("Feedback submission failed", err, { traceId }));
+
+            return;
         }
 
     } catch (error) {
@@ -663,130 +1882,558 @@ app.post('/api/v1/slack-interaction', async (req, res) => {
 });
 
 
+// ==========================================================================
+//  ENDPOINT: SLACK SLASH COMMANDS
+// ==========================================================================
+// /readai-search <query>  - ranked search over transcripts, decisions and tasks
+// /readai <subcommand>    - inspect and control pipelines (see READAI_USAGE)
+
+const SLACK_SEARCH_RESULTS = 5;
+
+const buildSearchBlocks = (search) => {
+    const blocks = [{
+        type: "section",
+        text: { type: "mrkdwn", text: `🔎 *${search.total} result(s) for* "${search.query}"${search.total > search.results.length ? ` (top ${search.results.length} shown)` : ""}` }
+    }];
+
+    search.results.slice(0, SLACK_SEARCH_RESULTS).forEach(result => {
+        const date = result.created_at ? new Date(result.created_at).toISOString().substring(0, 10) : "—";
+        const lines = result.highlights.map(hit => {
+            const label = { task: "Task", decision: "Decision", key_point: "Key point", meeting_title: "Title", transcript: "Transcript" }[hit.field] || hit.field;
+            const link = hit.notion_url ? ` <${hit.notion_url}|Open in Notion>` : "";
+            return `• _${label}:_ ${hit.snippet}${link}`;
+        });
+        blocks.push({ type: "divider" });
+        blocks.push({
+            type: "section",
+            text: { type: "mrkdwn", text: `*${result.meeting_title}* · ${date} · \`${result.transcript_id}\`\n${lines.join("\n")}`.substring(0, 3000) }
+        });
+    });
+
+    return blocks;
+};
+
+const READAI_USAGE = [
+    "`/readai status <trace>` — stage and queue position",
+    "`/readai queues` — open review queues and their progress",
+    "`/readai resume <trace>` — repost the current card (or the digest)",
+    "`/readai cancel <trace>` — drop the review queue",
+    "`/readai reprocess <trace>` — run the stored transcript through the pipeline again",
+    "`/readai search <query>` — same as `/readai-search`",
+].join("\n");
+
+const STAGE_LABELS = {
+    queued: "⏳ Waiting for handoff", processing: "⚙️ Processing", failed: "💀 Failed",
+    normalized: "📝 Normalized (no review queue)", review: "👀 In review", done: "🏁 Done", cancelled: "🛑 Cancelled"
+};
+
+const formatProgress = (progress) => {
+    const position = progress.current ? `card ${progress.current} of ${progress.total}` : `${progress.decided} of ${progress.total} decided`;
+    const auto = progress.auto_applied ? ` · ${progress.auto_applied} auto-applied${progress.undone ? ` (${progress.undone} undone)` : ""}` : "";
+    return `${position} · ✅ ${progress.accepted} · ⏭️ ${progress.skipped}${auto} · ${progress.review_mode}`;
+};
+
+const formatPipelineStatus = (status) => {
+    const lines = [`${STAGE_LABELS[status.stage] || status.stage} · *${status.meeting_title || "Untitled"}* · \`${status.trace_id}\``];
+    if (status.queue) lines.push(`Queue: ${formatProgress(status.queue)}`);
+    if (status.transcript?.projects.length) lines.push(`Projects: ${status.transcript.projects.join(", ")}`);
+    if (status.job && status.job.status !== 'completed') {
+        lines.push(`Handoff: ${status.job.status}, attempt ${status.job.attempts}/${status.job.max_attempts}${status.job.last_error ? ` — ${status.job.last_error}` : ""}`);
+    }
+    return lines.join("\n");
+};
+
+// Reruns a stored transcript under a new trace ID; an open queue for the old trace is cancelled first
+const reprocessTranscript = async (traceId) => {
+    const stored = await mongoose.model('NormalizedTranscript').findOne({ transcript_id: traceId }).lean();
+    if (!stored) throw new Error(`No stored transcript for \`${traceId}\``);
+
+    const newTraceId = crypto.randomUUID();
+    logger.info(`Reprocessing transcript ${traceId} as ${newTraceId}`, { traceId });
+    const { statusCode, body } = await runTranscriptPipeline({
+        request_id: newTraceId,
+        transcript: stored.raw_transcript,
+        raw_transcript: stored.raw_transcript,
+        source: stored.source, source_id: stored.source_id, meeting_title: stored.meeting_title,
+        participants: stored.participants, speaker_blocks: stored.speaker_blocks, start_time: stored.start_time,
+        source_session_id: stored.source_session_id, content_hash: stored.content_hash
+    });
+    if (statusCode !== 200) throw new Error(body.error || `Pipeline returned ${statusCode}`);
+    // The old review stays usable until the new one is there: a failed rerun loses nothing
+    const cancelled = await proposalQueues.cancel(traceId);
+    if (cancelled) logger.info(`Old review queue cancelled, replaced by ${newTraceId}`, { traceId });
+    return { traceId: newTraceId, review: body.result.length, autoApplied: body.auto_applied.length };
+};
+
+// Returns the immediate (ephemeral) reply. Slow work replies later through `responseUrl`.
+const runReadaiCommand = async (text, { responseUrl, user }) => {
+    const [word = "", ...args] = text.trim().split(/\s+/);
+    const subcommand = word.toLowerCase();
+    const traceId = args[0];
+    const reply = (message) => ({ response_type: "ephemeral", text: message });
+    const needsTrace = ['status', 'resume', 'cancel', 'reprocess'];
+    if (needsTrace.includes(subcommand) && !traceId) return reply(`Usage: \`/readai ${subcommand} <trace>\``);
+
+    switch (subcommand) {
+        case 'status': {
+            const status = await getPipelineStatus(traceId);
+            return reply(status ? formatPipelineStatus(status) : `Nothing known about \`${traceId}\``);
+        }
+
+        case 'queues': {
+            const queues = await proposalQueues.listOpen();
+            if (queues.length === 0) return reply("No open review queues.");
+            const lines = queues.map(queue => `• *${queue.meetingTitle}* · \`${queue.traceId}\`\n   ${formatProgress(queueProgress(queue))}`);
+            return reply(`*${queues.length} open review queue(s):*\n${lines.join("\n")}`);
+        }
+
+        case 'resume': {
+            const queue = await proposalQueues.get(traceId);
+            if (!queue || queue.status !== 'open') return reply(`No open review queue for \`${traceId}\``);
+            // Posting cards (and reading Notion pages for UPDATE diffs) can outlast Slack's 3s window:
+            // answer now, report through response_url
+            (async () => {
+                let message;
+                try {
+                    if (queue.reviewMode === 'batch') {
+                        await proposalQueues.setDigest(traceId, { channel: null, ts: null }); // Post a fresh digest
+                        await sendDigest(traceId);
+                    } else {
+                        await sendNextProposal(traceId);
+                    }
+                    message = `🔁 Reposted the review for *${queue.meetingTitle}* in <#${SLACK_CHANNEL}>.`;
+                } catch (err) {
+                    logger.error("Resume failed", err, { traceId });
+                    message = `❌ Could not repost the review for \`${traceId}\`: ${err.message}`;
+                }
+                if (responseUrl) await axios.post(responseUrl, { response_type: "ephemeral", text: message }).catch(() => {});
+            })();
+            return reply(`⏳ Reposting the review for *${queue.meetingTitle}*…`);
+        }
+
+        case 'cancel': {
+            const queue = await proposalQueues.cancel(traceId);
+            if (!queue) return reply(`No open review queue for \`${traceId}\``);
+            logger.info(`Queue cancelled by ${user?.name || user?.id}`, { traceId });
+            const pending = queue.statuses.filter(status => status === 'pending').length;
+            return reply(`🛑 Cancelled the review for *${queue.meetingTitle}*. ${pending} undecided proposal(s) dropped; their cards no longer work.`);
+        }
+
+        case 'reprocess': {
+            // Normalizing takes longer than Slack's 3s window: answer now, report through response_url
+            (async () => {
+                let message;
+                try {
+                    const result = await reprocessTranscript(traceId);
+                    message = `✅ Reprocessed as \`${result.traceId}\`: ${result.review} proposal(s) for review${result.autoApplied ? `, ${result.autoApplied} auto-applied` : ""}.`;
+                } catch (err) {
+                    logger.error("Reprocess failed", err, { traceId });
+                    message = `❌ Reprocess of \`${traceId}\` failed: ${err.message}`;
+                }
+                if (responseUrl) await axios.post(responseUrl, { response_type: "ephemeral", text: message }).catch(() => {});
+            })();
+            return reply(`⏳ Reprocessing \`${traceId}\`…`);
+        }
+
+        case 'search': {
+            const query = args.join(" ");
+            if (!query) return reply("Usage: `/readai search <words or \"exact phrase\">`");
+            const search = await searchTranscripts(query, { limit: SLACK_SEARCH_RESULTS, marks: ['*', '*'] });
+            return { response_type: "ephemeral", text: `Search: ${query}`, blocks: buildSearchBlocks(search) };
+        }
+
+        default:
+            return reply(`${subcommand && subcommand !== 'help' ? `Unknown subcommand \`${subcommand}\`.\n` : ""}${READAI_USAGE}`);
+    }
+};
+
+app.post('/api/v1/slack-command', assignTraceId, verifySlack, async (req, res) => {
+    const { command, text = "" } = req.body;
+    try {
+        if (command === '/readai') {
+            const reply = await runReadaiCommand(text, { responseUrl: req.body.response_url, user: { id: req.body.user_id, name: req.body.user_name } });
+            return res.status(200).send(reply);
+        }
+
+        if (command === '/readai-search') {
+            if (!text.trim()) {
+                return res.status(200).send({ response_type: "ephemeral", text: "Usage: `/readai-search <words or \"exact phrase\">`" });
+            }
+            const search = await searchTranscripts(text.trim(), { limit: SLACK_SEARCH_RESULTS, marks: ['*', '*'] });
+            return res.status(200).send({ response_type: "ephemeral", text: `Search: ${text}`, blocks: buildSearchBlocks(search) });
+        }
+
+        logger.warn(`Unknown slash command: ${command}`, { traceId: req.traceId });
+        return res.status(200).send({ response_type: "ephemeral", text: `Unknown command \`${command}\`` });
+    } catch (error) {
+        logger.error("Slash command failed", error, { traceId: req.traceId });
+        return res.status(200).send({ response_type: "ephemeral", text: `❌ ${error.message}` });
+    }
+});
+
+
 // ==========================================================================
 //  MAIN PROCESS ENDPOINT
 // ==========================================================================
 
-app.post('/api/v1/process-transcript', async (req, res) => {
+const respond = (statusCode, body) => ({ statusCode, body });
+
+// Traces this process is running the pipeline for: a handoff retried while the first call is
+// still running (orchestrator timeout) is answered with 202 instead of starting a second run
+const runningPipelines = new Set();
+
+// The whole pipeline for one transcript (HTTP handoff and `/readai reprocess`). Returns { statusCode, body }.
+// Idempotent per trace (request_id / trace_id): the run claims the trace's queue before any Notion
+// write or Slack card, so a repeated handoff reports the existing run instead of redoing it.
+const runTranscriptPipeline = async (input) => {
+  const traceId = input.request_id || input.trace_id || crypto.randomUUID();
+  if (runningPipelines.has(traceId)) {
+    logger.info("Handoff repeated while the pipeline is still running. Ignoring it.", { traceId });
+    return respond(202, { trace_id: traceId, status: 'processing' });
+  }
+  runningPipelines.add(traceId);
   try {
-    const { transcript, source, source_id, meeting_title, participants, raw_transcript, request_id } = req.body;
-    const traceId = request_id || req.body.trace_id || crypto.randomUUID();
+    return await processTranscript(traceId, input);
+  } finally {
+    runningPipelines.delete(traceId);
+  }
+};
+
+const processTranscript = async (traceId, input) => {
+  let claimed = false;
+  try {
+    const { transcript, source, source_id, meeting_title, participants, raw_transcript, source_session_id, content_hash, speaker_blocks, start_time } = input;
     logger.info(`🚀 Processing started for source: ${source}`, { traceId });
 
-    if (!transcript) { return res.status(400).send({ error: "Transcript text is required." }); }
+    if (!transcript) { return respond(400, { error: "Transcript text is required." }); }
 
-    // 1. Normalize
-    const normalized = await normalizeTranscript(transcript, { source, source_id, meeting_title, participants }, traceId);
+    const meetingTitle = meeting_title || "Virtual Meeting";
+    const claim = await proposalQueues.begin(traceId, { meetingTitle, targetDbId: NOTION_TASK_DB_ID });
+    if (!claim.claimed) {
+        logger.info(`Trace already processed (queue ${claim.queue.status}). Not running it again.`, { traceId });
+        return respond(200, { trace_id: traceId, already_processed: true, status: claim.queue.status });
+    }
+    claimed = true;
+    // Written by an earlier, interrupted run of this trace: not written (or reviewed) again
+    const alreadyApplied = new Set(claim.queue.autoApplied.map(entry => autoAppliedKey(entry.task)));
+    if (alreadyApplied.size) logger.info(`Resuming an interrupted run: ${alreadyApplied.size} proposal(s) already auto-applied.`, { traceId });
+
+    // Structured turns with timing (Read AI, parsed uploads); plain text gets untimed blocks
+    const speakerBlocks = Array.isArray(speaker_blocks) && speaker_blocks.length ? speaker_blocks : blocksFromText(transcript);
+    // Relative due dates ("next Friday") count from the meeting, not from when it is processed
+    const startedAt = new Date(start_time || meetingStart(speakerBlocks) || NaN);
+    const meetingStartTime = Number.isNaN(startedAt.getTime()) ? null : startedAt;
+
+    // 1. Normalize (a retried handoff reuses the transcript an earlier attempt already normalized)
+    const TranscriptModel = mongoose.model('NormalizedTranscript');
+    const stored = await TranscriptModel.findOne({ transcript_id: traceId }, { normalized_data: 1 }).lean();
+    const normalized = stored?.normalized_data?.extracted_entities
+        ? stored.normalized_data
+        : await normalizeTranscript(transcript, { source, source_id, meeting_title, participants, start_time: meetingStartTime }, traceId);
 
     // 2. DB Save
-    try {
-        const TranscriptModel = mongoose.model('NormalizedTranscript');
-        const newTranscript = new TranscriptModel({
-            transcript_id: traceId,
-            source: source || "unknown", source_id: source_id || "unknown", meeting_title: meeting_title || "Untitled",
-            participants: participants || [], raw_transcript: raw_transcript || transcript,
-            normalized_data: { summary: normalized.summary, extracted_entities: normalized.extracted_entities, quality_metrics: normalized.quality_metrics, source_specific: normalized.source_specific || {} }
-        });
-        await newTranscript.save();
-    } catch (dbError) { logger.error("DB Save Failed", dbError, { traceId }); }
-
-    // 3. Project & DB Match
-    const projectBlock = normalized.extracted_entities.projects?.[0];
-    const projectName = projectBlock?.project_name?.trim();
-    if (!projectName) { return res.status(400).send({ error: "No project name found." }); }
+    if (!stored) {
+        try {
+            const newTranscript = new TranscriptModel({
+                transcript_id: traceId,
+                source: source || "unknown", source_id: source_id || "unknown", meeting_title: meeting_title || "Untitled",
+                participants: participants || [], raw_transcript: raw_transcript || transcript, speaker_blocks: speakerBlocks,
+                source_session_id, content_hash, start_time: meetingStartTime,
+                normalized_data: { summary: normalized.summary, extracted_entities: normalized.extracted_entities, quality_metrics: normalized.quality_metrics, source_specific: normalized.source_specific || {} }
+            });
+            await newTranscript.save();
+        } catch (dbError) { logger.error("DB Save Failed", dbError, { traceId }); }
+    }
 
-    const allSources = await listAllNotionDatabases();
-    let chosenTitle = await findBestDatabaseMatch(projectName, allSources);
-    if (!chosenTitle) chosenTitle = allSources.find(ds => ds.title.toLowerCase().includes(projectName.toLowerCase()))?.title;
-    if (!chosenTitle) return res.status(404).send({ error: "No matching Notion DB found." });
+    // Read AI participants (name + email) keep the people directory current
+    await learnParticipants(participants || []);
 
-    const match = allSources.find(ds => ds.title === chosenTitle);
-    
-    // 4. Context & Logic
-    const allPages = await fetchAllRowsInDataSource(match.id);
-    const existingTasks = allPages.map(simplifyAnyPage).map(page => ({
-        id: page.id || "", title: page.task || "", status: page.status || "", notes: page.notes || "",         
-        url: `https://www.notion.so/${(page.id || "").replace(/-/g, "")}`
-    }));
-
-    // 5. Generate Proposals
-    const proposals = normalized.extracted_entities.projects.flatMap(p =>
-        p.tasks.map(t => ({
-            title: t.task_title, project: p.project_name, notes: t.notes, status: t.status,
-            owner: t.owner || "Unassigned", priority: t.priority_level || "Medium",
-            linked_jtbd: t.linked_jtbd?.name || "TBD", start_date: t.start_date, due_date: t.due_date, focus_this_week: t.focus_this_week
-        }))
-    );
+    // 3. Project & DB Match (each project block is routed to its own data source)
+    const projectBlocks = (normalized.extracted_entities.projects || []).filter(p => p?.project_name?.trim());
+    if (projectBlocks.length === 0) {
+        await proposalQueues.release(traceId);
+        return respond(400, { error: "No project name found." });
+    }
 
-    // 6. Semantic Compare (Create vs Update)
+    const allSources = await notionCatalog.listDatabases();
+    const indexByDbId = new Map(); // Two projects can resolve to the same database
     const finalOutput = [];
-    for (const proposal of proposals) {
-      try {
-       const comparePrompt =  `
-        You are the Prouvé Sync Manager. Decide CREATED or UPDATED.
-        
-        MATCHING RULES:
-        - UPDATE only if the proposal clearly refers to the SAME OUTCOME
-        - Match by meaning, not wording
-        - If multiple matches exist, choose the BEST ONE
 
-        FIELD PRESERVATION RULE:
-        - owner MUST be copied from proposal.owner
-        - priority MUST be copied from proposal.priority
-        - linked_jtbd MUST be copied from proposal.linked_jtbd
-        - start_date MUST be copied from proposal.start_date
-        - due_date MUST be copied from proposal.due_date
-        - focus_this_week MUST be copied from proposal.focus_this_week
+    for (const projectBlock of projectBlocks) {
+      const projectName = projectBlock.project_name.trim();
+      const route = await resolveProjectDatabase(projectName, allSources, traceId);
 
-        STRICT OUTPUT RULES:
-        - If UPDATE: notion_url MUST be copied EXACTLY from matched existing task
-        - If CREATE: notion_url MUST be exactly "New Task"
+      // 4. Context & Logic
+      let candidateIndex = null;
+      if (route.targetDbId) {
+        if (!indexByDbId.has(route.targetDbId)) {
+          indexByDbId.set(route.targetDbId, buildCandidateIndex(await fetchExistingTasks(route.targetDbId)));
+        }
+        candidateIndex = indexByDbId.get(route.targetDbId);
+      }
 
-        TASK PROPOSAL:
-        ${JSON.stringify(proposal)}
+      // 5. Generate Proposals
+      const proposals = (projectBlock.tasks || []).map(t => ({
+          title: t.task_title, project: projectBlock.project_name, notes: t.notes, status: t.status,
+          owner: t.owner || "Unassigned", priority: t.priority_level || "Medium",
+          linked_jtbd: t.linked_jtbd?.name || "TBD", start_date: t.start_date, due_date: t.due_date, focus_this_week: t.focus_this_week,
+          evidence: locateEvidence(t.evidence, speakerBlocks)
+      }));
+
+      // 6. Semantic Compare (Create vs Update), COMPARE_CONCURRENCY proposals at a time
+      const compared = await mapWithConcurrency(proposals, COMPARE_CONCURRENCY, async ({ evidence, ...proposal }) => {
+        try {
+          // Nothing to compare against until the reviewer picks a database in Slack
+          const result = candidateIndex
+            ? await compareProposal(proposal, candidateIndex, traceId)
+            : { ...proposal, action: 'CREATE', notion_url: "New Task" };
+          return { ...result, evidence, ...route };
+        } catch (err) {
+          logger.error("Comparison error", err, { traceId });
+          return null;
+        }
+      });
+      finalOutput.push(...compared.filter(Boolean));
+    }
 
-        EXISTING NOTION TASKS:
-        ${JSON.stringify(existingTasks)}
+    // 6b. Owners -> people directory (Notion user for the write, Slack user for the @-mention)
+    let proposalsWithOwners = finalOutput;
+    try {
+        proposalsWithOwners = await resolveTaskOwners(finalOutput, { participants: participants || [] });
+        const ambiguous = proposalsWithOwners.filter(t => t.owner_ambiguous.length).length;
+        if (ambiguous) logger.info(`${ambiguous} proposal(s) have an ambiguous owner.`, { traceId });
+    } catch (err) { logger.error("Owner resolution failed", err, { traceId }); }
+
+    // 6c. Auto-apply policy: confident proposals are written now, the rest are reviewed
+    const remaining = proposalsWithOwners.filter(task => !alreadyApplied.has(autoAppliedKey(task)));
+    const classified = await mapWithConcurrency(remaining, COMPARE_CONCURRENCY, task => withChangedFields(task, traceId));
+    const { autoApply, review } = partitionProposals(classified, { normalizationConfidence: normalized.quality_metrics?.normalization_confidence });
+    const { applied, failed } = autoApply.length ? await autoApplyProposals(traceId, autoApply, meetingTitle) : { applied: [], failed: [] };
+    const toReview = [...review, ...failed];
+    if (applied.length) logger.info(`${applied.length} proposal(s) auto-applied, ${toReview.length} left for review.`, { traceId });
 
-        RETURN ONLY VALID JSON. 
-        Structure: { action: "CREATE" | "UPDATE", notion_url: "...", title: "...", ...all_fields }
-        `;
-        const gptResponse = await fetch("https://api.openai.com/v1/chat/completions", {
-            method: "POST", headers: { "Content-Type": "application/json", Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
-            body: JSON.stringify({ model: "gpt-5.2", messages: [{ role: "user", content: comparePrompt }], response_format: { type: "json_object" } }),
-        });
-        const jsonResp = await gptResponse.json();
-        finalOutput.push(JSON.parse(jsonResp.choices[0].message.content));
-      } catch (err) { logger.error("Comparison error", err, { traceId }); }
+    // 7. INITIALIZE QUEUE (Do NOT send all messages)
+    let reviewMode = resolveReviewMode({ source, projects: projectBlocks.map(p => p.project_name) });
+    if (reviewMode === 'batch' && toReview.length > DIGEST_MAX_PROPOSALS) {
+        logger.warn(`${toReview.length} proposals exceed the digest limit. Using sequential review.`, { traceId });
+        reviewMode = 'sequential';
     }
 
-    // 7. INITIALIZE QUEUE (Do NOT send all messages)
-    proposalQueues.set(traceId, {
-        tasks: finalOutput,
-        currentIndex: 0,
-        meetingTitle: meeting_title || "Virtual Meeting",
-        targetDbId: match.id
+    const opened = await proposalQueues.open(traceId, {
+        tasks: toReview,
+        reviewMode
     });
+    claimed = false;
+
+    // 8. SEND FIRST MESSAGE TO START LOOP (or the single digest card), after the auto-apply summary
+    await postAutoSummary(traceId);
+    if (toReview.length === 0) {
+        await proposalQueues.complete(traceId);
+    } else if (reviewMode === 'batch') {
+        await sendDigest(traceId);
+    } else {
+        await sendNextProposal(traceId);
+    }
 
-    // 8. SEND FIRST MESSAGE TO START LOOP
-    await sendNextProposal(traceId);
+    return respond(200, {
+        trace_id: traceId,
+        result: toReview,
+        auto_applied: (opened?.autoApplied || applied).map(({ task, kind, confidence, reason, page_id }) => ({ title: task.title, kind, confidence, reason, page_id }))
+    });
+
+  } catch (error) {
+    logger.error("PROCESS ERROR", error, { traceId });
+    if (claimed) await proposalQueues.release(traceId).catch(err => logger.error("Could not release the trace", err, { traceId }));
+    return respond(500, { error: error.message });
+  }
+};
+
+app.post('/api/v1/process-transcript', async (req, res) => {
+    const { statusCode, body } = await runTranscriptPipeline(req.body);
+    return res.status(statusCode).send(body);
+});
 
-    return res.status(200).send({ trace_id: traceId, result: finalOutput });
+// ==========================================================================
+//  AUDIT ENDPOINTS (Proposal decisions)
+// ==========================================================================
+// Filters: trace_id, meeting (trace ID or title), project, reviewer (Slack id / username),
+// outcome (accepted | skipped | failed | auto_applied | undone), action (CREATE | UPDATE), from, to, page, limit
+
+app.get('/api/v1/audit/decisions', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const result = await queryDecisions(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        logger.error("Audit query failed", error);
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).send({ error: error.message });
+    }
+});
+
+// Acceptance rates: same filters, plus group_by = reviewer | project | meeting | action
+app.get('/api/v1/audit/stats', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const stats = await decisionStats(req.query);
+        res.status(200).send({ group_by: req.query.group_by || 'reviewer', stats });
+    } catch (error) {
+        logger.error("Audit stats failed", error);
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).send({ error: error.message });
+    }
+});
+
+// Model output rejected by schema validation (after the repair round-trip), with its validation report.
+// Filters: trace_id, call_site (normalize | compare), limit; include_output=true adds the raw outputs
+app.get('/api/v1/llm-rejections', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const rejections = await listRejections(req.query);
+        res.status(200).send({ count: rejections.length, rejections });
+    } catch (error) {
+        logger.error("LLM rejection query failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// ==========================================================================
+//  TRANSCRIPT QUERY ENDPOINTS (Stored NormalizedTranscript records)
+// ==========================================================================
+// Shared filters: source, from, to (ISO dates), participant (name or email), project; page, limit
+
+app.get('/api/v1/transcripts', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const result = await listTranscripts(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        logger.error("Transcript list failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// One transcript with its normalized data (?include_raw=false to drop the raw text)
+app.get('/api/v1/transcripts/:transcriptId', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const transcript = await getTranscript(req.params.transcriptId, { includeRaw: req.query.include_raw !== 'false' });
+        if (!transcript) return res.status(404).send({ error: "Transcript not found" });
+        res.status(200).send({ transcript });
+    } catch (error) {
+        logger.error("Transcript fetch failed", error, { traceId: req.params.transcriptId });
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// Ranked full-text search: ?q=<words or "phrase">&source=&project=&limit=
+app.get('/api/v1/search', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        if (!req.query.q) return res.status(400).send({ error: "Missing query param: q" });
+        const { source, project, limit } = req.query;
+        const result = await searchTranscripts(req.query.q, { source, project, limit });
+        res.status(200).send(result);
+    } catch (error) {
+        logger.error("Search failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// Decisions across meetings (?q= filters the decision text)
+app.get('/api/v1/decisions', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const result = await listDecisions(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        logger.error("Decision list failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
 
+app.get('/api/v1/people', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const result = await listPeople(req.query);
+        res.status(200).send(result);
+    } catch (error) {
+        logger.error("People list failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// ==========================================================================
+//  PEOPLE DIRECTORY (Owner -> Notion user / Slack user)
+// ==========================================================================
+
+// ?q= ranks entries by how well they match a name (same fuzzy match as owner resolution)
+app.get('/api/v1/people-directory', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const people = await listDirectory(req.query);
+        res.status(200).send({ count: people.length, people });
+    } catch (error) {
+        logger.error("People directory list failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// Create or edit one person: { id?, display_name, aliases, emails, notion_user_id, slack_user_id }
+app.post('/api/v1/people-directory', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const person = await savePerson(req.body || {});
+        if (!person) return res.status(404).send({ message: "Person not found" });
+        res.status(200).send(person);
+    } catch (error) {
+        logger.error("People directory update failed", error);
+        res.status(400).send({ error: error.message });
+    }
+});
+
+// Pulls Notion workspace users and Slack members in, joined by email
+app.post('/api/v1/people-directory/sync', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const report = await syncDirectory({ notion, slackClient });
+        res.status(200).send(report);
+    } catch (error) {
+        logger.error("People directory sync failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
+// Property mapping vs live schema for one data source
+app.get('/api/v1/notion-schema-check', assignTraceId, verifyApi, async (req, res) => {
+  try {
+    const { db_id } = req.query;
+    if (!db_id) return res.status(400).send({ message: "Missing query param: db_id" });
+    const report = await getValidatedMapping(notion, db_id, { refresh: true });
+    res.status(200).send({ ok: report.errors.length === 0, ...report });
   } catch (error) {
-    logger.error("PROCESS ERROR", error);
-    return res.status(500).send({ error: error.message });
+    res.status(500).send({ error: error.message });
   }
 });
 
+// ==========================================================================
+//  NOTION CATALOG CACHE (Admin)
+// ==========================================================================
+
+app.get('/api/v1/notion-cache', assignTraceId, verifyApi, (req, res) => {
+    res.status(200).send(notionCatalog.stats());
+});
+
+// Reloads the data source list and the rows of `db_id` (or of every cached data source) now
+app.post('/api/v1/notion-cache/refresh', assignTraceId, verifyApi, async (req, res) => {
+    try {
+        const dataSourceId = req.body?.db_id || req.query.db_id;
+        const result = await notionCatalog.refresh({ dataSourceId });
+        logger.info(`Notion catalog refreshed${dataSourceId ? ` for ${dataSourceId}` : ""}.`);
+        res.status(200).send(result);
+    } catch (error) {
+        logger.error("Notion catalog refresh failed", error);
+        res.status(500).send({ error: error.message });
+    }
+});
+
 // --- LEGACY ENDPOINTS (RESTORED) ---
+// Both are served from the catalog cache; `?refresh=true` bypasses it.
 
 app.get('/api/v1/notion-data-source-rows', async (req, res) => {
   try {
     const { db_id } = req.query;
     if (!db_id) return res.status(400).send({ message: "Missing query param: db_id" });
-    const pages = await fetchAllRowsInDataSource(db_id);
-    res.status(200).send({ count: pages.length, pages: pages.map(simplifyAnyPage) });
+    const pages = await notionCatalog.getRows(db_id, { refresh: req.query.refresh === 'true' });
+    const mapping = getMapping(db_id);
+    res.status(200).send({ count: pages.length, pages: pages.map(page => simplifyAnyPage(page, mapping)) });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
@@ -794,7 +2441,7 @@ app.get('/api/v1/notion-data-source-rows', async (req, res) => {
 
 app.get('/api/v1/list-notion-databases', async (req, res) => {
     try {
-        const databases = await listAllNotionDatabases();
+        const databases = await notionCatalog.listDatabases({ refresh: req.query.refresh === 'true' });
         res.status(200).send({ databases });
     } catch (error) {
         res.status(500).send({ error: error.message });
@@ -810,11 +2457,11 @@ app.post('/api/v1/slack-approved-tasks', async (req, res) => {
 });
 
 app.post('/api/v1/normalize', async (req, res) => {
-    const { transcript, source, source_id, meeting_title, participants, raw_transcript } = req.body; 
+    const { transcript, source, source_id, meeting_title, participants, raw_transcript, start_time } = req.body; 
     if (!transcript) return res.status(400).send({ message: "Transcript is required." });
     try {
         const traceId = crypto.randomUUID();
-        const normalizedJson = await normalizeTranscript(transcript, { source, source_id, meeting_title, participants }, traceId);
+        const normalizedJson = await normalizeTranscript(transcript, { source, source_id, meeting_title, participants, start_time }, traceId);
         res.status(200).send({ normalized_json: normalizedJson });
     } catch (error) {
         logger.error('Normalization process failed', error);
@@ -835,8 +2482,23 @@ app.post('/api/v1/generate-tasks', async (req, res) => {
 });
 
 
+// Startup check: every configured data source (and the fallback DB) against its live schema
+const checkConfiguredMappings = async () => {
+    const ids = [...new Set([...configuredDataSourceIds(), NOTION_TASK_DB_ID].filter(Boolean))];
+    for (const id of ids) {
+        try {
+            const report = await getValidatedMapping(notion, id, { refresh: true });
+            if (report.errors.length) logger.warn(`[Config Check] ${formatIssues(report)}`);
+            else logger.info(`[Config Check] Notion property mapping OK for "${report.schemaTitle}"`);
+        } catch (err) {
+            logger.warn(`[Config Check] Could not read schema of data source ${id}: ${err.message}`);
+        }
+    }
+};
+
 const startServer = async () => {
     await connectDB();
+    checkConfiguredMappings();
     app.listen(PORT, () => { logger.info(`🧠 MCP Server running on port ${PORT}`); });
 };
 
@@ -2,44 +2,101 @@ const express = require('express');
 const axios = require('axios');
 const { connectDB } = require('@read-ai/shared-config');
 const multer = require('multer');
-const mammoth = require('mammoth');
 const crypto = require('crypto');
 const logger = require('../utilities/logger'); 
+const { assignTraceId, captureRawBody, verifyWebhookRequest } = require('../utilities/requestAuth');
+const { createJobQueue } = require('../utilities/jobQueue');
+const { contentHash, dedupKeys, findDuplicateIngest, isDuplicateIngestError } = require('../utilities/ingestDedup');
+const { parseTranscriptFile, formatSpeakerBlocks } = require('../utilities/transcriptParsers');
 
 const PORT = process.env.ORCHESTRATOR_PORT || 3000;
 const MCP_SERVER_URL = process.env.MCP_SERVER_URL;
+// The MCP server runs the whole pipeline before answering; a hung call fails after this and is retried
+const HANDOFF_TIMEOUT_MS = Number(process.env.PIPELINE_HANDOFF_TIMEOUT_MS) || 10 * 60 * 1000;
+// MCP review queue states that mean the run for a trace is over
+const SETTLED_QUEUE_STATES = ['open', 'completed', 'cancelled'];
 
 if (!MCP_SERVER_URL) throw new Error("MCP_SERVER_URL is missing.");
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
-// --- 1. PIPELINE RUNNER (Modified for Background Processing) ---
-// Note: We removed 'res' from arguments because we don't send the response here anymore
-const runPipelineBackground = async (data) => {
-    const { traceId, transcript, source, source_id, meeting_title, participants } = data;
-    try {
-        logger.info(`[Pipeline] Background processing started: "${meeting_title}"`, { traceId });
+// Webhook / upload authentication: WEBHOOK_SECRET + WEBHOOK_AUTH_MODE ("token" | "hmac")
+const verifyWebhook = verifyWebhookRequest({
+    secret: process.env.WEBHOOK_SECRET,
+    mode: process.env.WEBHOOK_AUTH_MODE || 'token'
+});
 
-        // Forward to MCP (The heavy lifting)
-        await axios.post(`${MCP_SERVER_URL}/api/v1/process-transcript`, {
-            trace_id: traceId,
-            transcript: transcript,
-            source: source,
-            source_id: source_id,
-            meeting_title: meeting_title,
-            participants: participants
-        });
+// --- 1. PIPELINE RUNNER (Durable Job Queue) ---
+// Every transcript is stored as a PipelineJob before the MCP handoff, so a failed call
+// (MCP down, timeout, deploy) is retried with backoff instead of being lost.
+
+// One handoff attempt. Throws on failure so the job queue can schedule a retry. While the MCP run
+// for the trace is still going, resolves to { settled: false }: the job stays open and is handed
+// off again later, so a run that fails after answering still gets retried.
+const handOffToMCP = async (job) => {
+    const { transcript, source, source_id, meeting_title, participants, speaker_blocks, start_time } = job.payload;
+    const traceId = job.trace_id;
+    logger.info(`[Pipeline] Handing off to MCP: "${meeting_title}"`, { traceId });
+
+    // Forward to MCP (The heavy lifting). The MCP side is idempotent per trace_id, so a retry
+    // after a timeout or a partial failure doesn't run the pipeline (LLM calls, Slack cards) twice.
+    const response = await axios.post(`${MCP_SERVER_URL}/api/v1/process-transcript`, {
+        trace_id: traceId,
+        transcript: transcript,
+        source: source,
+        source_id: source_id,
+        meeting_title: meeting_title,
+        participants: participants,
+        speaker_blocks: speaker_blocks,
+        start_time: start_time,
+        source_session_id: job.source_session_id,
+        content_hash: job.content_hash
+    }, { timeout: HANDOFF_TIMEOUT_MS });
+
+    if (response.status === 202 || (response.data?.already_processed && !SETTLED_QUEUE_STATES.includes(response.data.status))) {
+        logger.info(`[Pipeline] MCP is still processing this trace (${response.data?.status}). Checking again later.`, { traceId });
+        return { settled: false };
+    }
+    if (response.data?.already_processed) {
+        logger.info(`[Pipeline] MCP already has this trace (${response.data.status}). Nothing to redo.`, { traceId });
+        return;
+    }
+    logger.info(`[Pipeline] ✅ Successfully handed off to MCP`, { traceId });
+};
 
-        logger.info(`[Pipeline] ✅ Successfully handed off to MCP`, { traceId });
+const jobQueue = createJobQueue({
+    handler: handOffToMCP,
+    maxAttempts: Number(process.env.PIPELINE_MAX_ATTEMPTS) || undefined,
+    baseDelayMs: Number(process.env.PIPELINE_RETRY_BASE_MS) || undefined,
+    checkIntervalMs: Number(process.env.PIPELINE_HANDOFF_CHECK_MS) || undefined,
+    maxHandoffWaitMs: Number(process.env.PIPELINE_HANDOFF_MAX_WAIT_MS) || undefined
+});
 
+// Stores the job and makes the first attempt. Resolves to { status, attempts, error? },
+// or { status: "duplicate", trace_id } when a concurrent delivery of the same transcript won.
+const runPipelineBackground = async (data) => {
+    const { traceId, transcript, source, source_id, meeting_title, participants, speaker_blocks, start_time, source_session_id, force } = data;
+    const keys = { sourceSessionId: source_session_id, contentHash: contentHash(transcript) };
+    try {
+        logger.info(`[Pipeline] Background processing started: "${meeting_title}"`, { traceId });
+        return await jobQueue.enqueue(
+            traceId,
+            { transcript, source, source_id, meeting_title, participants, speaker_blocks: speaker_blocks || [], start_time: start_time || null },
+            { ...keys, dedupKeys: force ? [] : dedupKeys(keys) }
+        );
     } catch (error) {
-        // Log detailed error info to fix the "undefined" issue
-        const errMsg = error.response?.data?.error || error.message;
-        logger.error(`[Pipeline] ❌ Failed: ${errMsg}`, { traceId });
+        if (isDuplicateIngestError(error)) {
+            const duplicate = await findDuplicateIngest(keys).catch(() => null);
+            logger.info(`[Pipeline] Duplicate ingestion of trace ${duplicate?.traceId} (concurrent delivery). Skipping.`, { traceId });
+            return { status: 'duplicate', trace_id: duplicate?.traceId };
+        }
+        // Could not even store the job (e.g. MongoDB down)
+        logger.error(`[Pipeline] ❌ Failed to enqueue job`, error, { traceId });
+        return { status: 'failed', error: error.message };
     }
 };
 
@@ -48,43 +105,83 @@ const parseReadAIPayload = (body) => {
     if (!body.transcript || !body.transcript.speaker_blocks) {
         throw new Error("Invalid Read AI Payload: Missing speaker_blocks");
     }
-    const textTranscript = body.transcript.speaker_blocks
-        .map(block => `${block.speaker?.name || "Unknown"}: ${block.words}`)
-        .join("\n");
+    // Keep the turns with their timing (evidence quotes are located in them later)
+    const speakerBlocks = body.transcript.speaker_blocks.map(block => ({
+        speaker: { name: block.speaker?.name || "Unknown" },
+        words: block.words,
+        start_time: block.start_time ?? null,
+        end_time: block.end_time ?? null
+    }));
 
     return {
-        transcript: textTranscript,
+        transcript: formatSpeakerBlocks(speakerBlocks),
+        speaker_blocks: speakerBlocks,
+        source_session_id: body.session_id,
         meeting_title: body.title || "Read AI Meeting",
         source_id: body.owner?.email || "read_ai_webhook",
-        participants: body.participants || []
+        participants: body.participants || [],
+        start_time: body.start_time || null
     };
 };
 
+// --- HELPER: DUPLICATE CHECK ---
+// Resolves to the original trace ID if this transcript was already ingested (and `force` isn't set).
+// A failed lookup never blocks ingestion.
+const checkDuplicate = async ({ transcript, source_session_id }, force, traceId) => {
+    if (force) {
+        logger.info("Force reprocess requested: skipping duplicate check", { traceId });
+        return null;
+    }
+    try {
+        const duplicate = await findDuplicateIngest({ sourceSessionId: source_session_id, contentHash: contentHash(transcript) });
+        if (duplicate) {
+            logger.info(`Duplicate ingestion (by ${duplicate.matchedBy}) of trace ${duplicate.traceId}. Skipping.`, { traceId });
+            return duplicate.traceId;
+        }
+    } catch (err) {
+        logger.warn(`Duplicate check failed, processing anyway: ${err.message}`, { traceId });
+    }
+    return null;
+};
+
+// `force=true` (body field or query param) deliberately reprocesses a transcript already seen
+const isForced = (req) => [req.body?.force, req.query.force].some(v => v === true || v === 'true');
+
 // --- 3. WEBHOOK ENDPOINT (Async/Non-Blocking) ---
-app.post('/api/v1/webhook', async (req, res) => {
-    const traceId = crypto.randomUUID();
+app.post('/api/v1/webhook', assignTraceId, verifyWebhook, async (req, res) => {
+    const traceId = req.traceId;
     
     // A. DETECT READ AI
     if (req.body.trigger === "meeting_end") {
         logger.info("⚡ Detected Read AI Webhook", { traceId });
-        
-        // Step 1: Reply to Read AI IMMEDIATELY
-        // This stops them from timing out and disconnecting
-        res.status(200).send({ status: "received" });
 
-        // Step 2: Process in Background
+        let data;
         try {
-            const data = parseReadAIPayload(req.body);
-            // Run without 'await' blocking the response
-            runPipelineBackground({ ...data, traceId, source: "read_ai" });
+            data = parseReadAIPayload(req.body);
         } catch (err) {
             logger.error("Read AI Parse Error", err.message, { traceId });
+            return res.status(200).send({ status: "received" });
         }
+
+        // Step 1: Redeliveries are acknowledged with the original trace ID (one indexed lookup)
+        const originalTraceId = await checkDuplicate(data, isForced(req), traceId);
+        if (originalTraceId) return res.status(200).send({ status: "duplicate", trace_id: originalTraceId });
+
+        // Step 2: Reply to Read AI IMMEDIATELY
+        // This stops them from timing out and disconnecting
+        res.status(200).send({ status: "received" });
+
+        // Step 3: Process in Background
+        // Run without 'await' blocking the response
+        runPipelineBackground({ ...data, traceId, source: "read_ai", force: isForced(req) });
         return;
     }
 
     // B. STANDARD WEBHOOK
     if (!req.body.transcript) return res.status(400).send({ error: "Missing transcript" });
+
+    const originalTraceId = await checkDuplicate({ transcript: req.body.transcript }, isForced(req), traceId);
+    if (originalTraceId) return res.status(200).send({ status: "duplicate", trace_id: originalTraceId });
     
     // Reply immediately
     res.status(200).send({ status: "received", trace_id: traceId });
@@ -96,41 +193,65 @@ app.post('/api/v1/webhook', async (req, res) => {
         source: "webhook",
         source_id: req.body.email || "anonymous",
         meeting_title: req.body.meeting_title || "Webhook Upload",
-        participants: []
+        participants: [],
+        start_time: req.body.start_time || null,
+        force: isForced(req)
     });
 });
 
 // --- 4. FILE UPLOAD ENDPOINT (Legacy) ---
-app.post('/api/v1/transcript', upload.single('transcriptFile'), async (req, res) => {
-    const traceId = crypto.randomUUID();
+app.post('/api/v1/transcript', assignTraceId, verifyWebhook, upload.single('transcriptFile'), async (req, res) => {
+    const traceId = req.traceId;
     if (!req.file) return res.status(400).send({ message: "No file provided" });
 
     // For file uploads (User Interface), users usually WANT to wait for confirmation.
     // So we keep this synchronous (awaiting the result), unlike the webhook.
     try {
-        let rawText = "";
-        if (req.file.originalname.endsWith('.docx')) {
-            const result = await mammoth.extractRawText({ buffer: req.file.buffer });
-            rawText = result.value;
-        } else {
-            rawText = req.file.buffer.toString('utf8');
+        // VTT / SRT / PDF / DOCX / Zoom, Teams, Otter JSON / plain text -> speaker blocks (see utilities/transcriptParsers.js)
+        let parsed;
+        try {
+            parsed = await parseTranscriptFile(req.file);
+        } catch (err) {
+            logger.warn(`[Upload] Could not parse ${req.file.originalname}: ${err.message}`, { traceId });
+            return res.status(400).send({ error: err.message });
+        }
+        const rawText = parsed.transcript;
+
+        // Same file uploaded again: point back at the original run
+        const originalTraceId = await checkDuplicate({ transcript: rawText }, isForced(req), traceId);
+        if (originalTraceId) {
+            return res.status(200).send({ message: "Transcript already processed", status: "duplicate", trace_id: originalTraceId });
         }
-        
+
         // Notify user we are starting
-        logger.info(`[Upload] Processing file: ${req.file.originalname}`, { traceId });
+        logger.info(`[Upload] Processing file: ${req.file.originalname} (${parsed.format}, ${parsed.speaker_blocks.length} speaker blocks)`, { traceId });
 
         // Run Logic
-        await runPipelineBackground({
+        const result = await runPipelineBackground({
             traceId,
             transcript: rawText,
             source: "file-upload",
             source_id: req.body.email || "user_upload",
-            meeting_title: req.body.meeting_title || req.file.originalname,
-            participants: []
+            meeting_title: req.body.meeting_title || parsed.meeting_title || req.file.originalname,
+            participants: parsed.participants,
+            speaker_blocks: parsed.speaker_blocks,
+            force: isForced(req)
         });
 
-        // Reply Success
-        res.status(200).send({ message: "File processed successfully", trace_id: traceId });
+        // Reply Success (or tell the user it's queued for retry)
+        if (result.status === 'duplicate') {
+            return res.status(200).send({ message: "Transcript already processed", status: "duplicate", trace_id: result.trace_id });
+        }
+        if (result.status === 'completed') {
+            return res.status(200).send({ message: "File processed successfully", trace_id: traceId, format: parsed.format });
+        }
+        if (result.status === 'handed_off') {
+            return res.status(202).send({ message: "File accepted, still being processed", trace_id: traceId, format: parsed.format });
+        }
+        if (result.status === 'pending') {
+            return res.status(202).send({ message: "MCP handoff failed, queued for retry", trace_id: traceId, error: result.error });
+        }
+        res.status(500).send({ error: result.error, trace_id: traceId, status: result.status });
 
     } catch (err) {
         logger.error("File Upload Error", err.message, { traceId });
@@ -138,8 +259,41 @@ app.post('/api/v1/transcript', upload.single('transcriptFile'), async (req, res)
     }
 });
 
+// --- 5. JOB ADMIN ENDPOINTS (Retry Queue) ---
+app.get('/api/v1/jobs', assignTraceId, verifyWebhook, async (req, res) => {
+    try {
+        const jobs = await jobQueue.list({ status: req.query.status, limit: req.query.limit });
+        res.status(200).send({ count: jobs.length, jobs });
+    } catch (err) {
+        res.status(500).send({ error: err.message });
+    }
+});
+
+app.get('/api/v1/jobs/:traceId', assignTraceId, verifyWebhook, async (req, res) => {
+    try {
+        const job = await jobQueue.get(req.params.traceId);
+        if (!job) return res.status(404).send({ error: "Job not found" });
+        res.status(200).send({ job });
+    } catch (err) {
+        res.status(500).send({ error: err.message });
+    }
+});
+
+// Manual re-drive of a dead-lettered job
+app.post('/api/v1/jobs/:traceId/redrive', assignTraceId, verifyWebhook, async (req, res) => {
+    try {
+        const result = await jobQueue.redrive(req.params.traceId);
+        if (!result) return res.status(404).send({ error: "No dead or pending job with this trace ID" });
+        res.status(200).send({ trace_id: req.params.traceId, ...result });
+    } catch (err) {
+        logger.error("Job Redrive Error", err, { traceId: req.params.traceId });
+        res.status(500).send({ error: err.message });
+    }
+});
+
 const startServer = async () => {
     await connectDB();
+    await jobQueue.start();
     app.listen(PORT, "0.0.0.0", () => {
         console.log(`🚀 Orchestrator running on port ${PORT}`);
     });
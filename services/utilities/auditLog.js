@@ -0,0 +1,128 @@
+// auditLog.js
+// Records every proposal decision (who, what, when, which Notion page) and answers
+// "who approved what" / acceptance-rate questions for the audit endpoints.
+
+const { DecisionAudit } = require('@read-ai/shared-config');
+const logger = require('./logger');
+
+const MAX_PAGE_SIZE = 200;
+
+// Slack interaction payload -> reviewer
+const reviewerFromSlack = (user) => ({
+  slack_user_id: user?.id,
+  slack_username: user?.username,
+  name: user?.name,
+});
+
+// Never throws: a failed audit write must not break the review flow
+const recordDecision = async ({ traceId, queue, index, task, outcome, user, notionPageId, error }) => {
+  const proposal = task || queue?.tasks?.[index] || {};
+  try {
+    await DecisionAudit.create({
+      trace_id: traceId,
+      meeting_title: queue?.meetingTitle,
+      project: proposal.project,
+      proposal_index: index,
+      action: proposal.action,
+      outcome,
+      review_mode: queue?.reviewMode,
+      reviewer: reviewerFromSlack(user),
+      proposal,
+      edits: proposal.edit_history || [],
+      notion_page_id: notionPageId,
+      target_db_id: proposal.targetDbId ?? queue?.targetDbId,
+      error,
+    });
+  } catch (err) {
+    logger.error("Failed to record decision audit", err, { traceId });
+  }
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `from` / `to` must parse; an Invalid Date would only fail later inside the query
+const parseDateParam = (name, value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`Invalid \`${name}\` date: ${value}`);
+    error.code = 'INVALID_QUERY';
+    throw error;
+  }
+  return date;
+};
+
+// Query params -> Mongo filter (meeting matches trace ID or title, reviewer matches id or username)
+const buildFilter = ({ trace_id, meeting, project, reviewer, outcome, action, from, to } = {}) => {
+  const filter = {};
+  if (trace_id) filter.trace_id = trace_id;
+  if (meeting) filter.$or = [{ trace_id: meeting }, { meeting_title: new RegExp(escapeRegex(meeting), 'i') }];
+  if (project) filter.project = new RegExp(`^${escapeRegex(project)}$`, 'i');
+  if (reviewer) {
+    filter.$and = [{ $or: [{ 'reviewer.slack_user_id': reviewer }, { 'reviewer.slack_username': reviewer }, { 'reviewer.name': reviewer }] }];
+  }
+  if (outcome) filter.outcome = outcome;
+  if (action) filter.action = String(action).toUpperCase();
+  if (from || to) {
+    filter.decided_at = {};
+    if (from) filter.decided_at.$gte = parseDateParam('from', from);
+    if (to) filter.decided_at.$lte = parseDateParam('to', to);
+  }
+  return filter;
+};
+
+const queryDecisions = async (query = {}) => {
+  const limit = Math.min(Number(query.limit) || 50, MAX_PAGE_SIZE);
+  const page = Math.max(Number(query.page) || 1, 1);
+  const filter = buildFilter(query);
+
+  const [total, decisions] = await Promise.all([
+    DecisionAudit.countDocuments(filter),
+    DecisionAudit.find(filter).sort({ decided_at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+  ]);
+  return { total, page, limit, decisions };
+};
+
+// Outcome counts and acceptance rate, grouped by reviewer | project | meeting | action
+const GROUP_KEYS = {
+  reviewer: { $ifNull: ['$reviewer.slack_username', '$reviewer.slack_user_id'] },
+  project: '$project',
+  meeting: '$meeting_title',
+  action: '$action',
+};
+
+const decisionStats = async (query = {}) => {
+  const groupKey = GROUP_KEYS[query.group_by] || GROUP_KEYS.reviewer;
+  const rows = await DecisionAudit.aggregate([
+    { $match: buildFilter(query) },
+    {
+      $group: {
+        _id: groupKey,
+        total: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $eq: ['$outcome', 'accepted'] }, 1, 0] } },
+        skipped: { $sum: { $cond: [{ $eq: ['$outcome', 'skipped'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$outcome', 'failed'] }, 1, 0] } },
+        auto_applied: { $sum: { $cond: [{ $eq: ['$outcome', 'auto_applied'] }, 1, 0] } },
+        undone: { $sum: { $cond: [{ $eq: ['$outcome', 'undone'] }, 1, 0] } },
+      }
+    },
+    { $sort: { total: -1 } },
+  ]);
+
+  return rows.map(row => ({
+    key: row._id ?? "(none)",
+    total: row.total,
+    accepted: row.accepted,
+    skipped: row.skipped,
+    failed: row.failed,
+    auto_applied: row.auto_applied,
+    undone: row.undone,
+    acceptance_rate: row.accepted + row.skipped > 0 ? row.accepted / (row.accepted + row.skipped) : null,
+  }));
+};
+
+module.exports = {
+  recordDecision,
+  queryDecisions,
+  decisionStats,
+  reviewerFromSlack
+};
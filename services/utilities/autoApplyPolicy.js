@@ -0,0 +1,109 @@
+// autoApplyPolicy.js
+// Decides which proposals are written to Notion without a review card.
+// Off unless configured: with no policy every proposal goes through review.
+//
+// AUTO_APPLY_POLICY            = JSON rule per action kind, e.g. {"CREATE": "never", "UPDATE": 0.9, "STATUS_UPDATE": 0.75}
+// AUTO_APPLY_POLICY_BY_PROJECT = JSON, e.g. {"Ridge Oak": {"UPDATE": "never"}} (merged over the default, keys case-insensitive)
+//
+// A rule is "never", "always", or the minimum confidence (0..1). Action kinds:
+//   CREATE        - new task
+//   UPDATE        - change to an existing task
+//   STATUS_UPDATE - the existing task (same title) only moves to another status and every other mapped
+//                   field already matches it; only Status is written
+//
+// Confidence is the comparison's confidence, lowered to the normalization confidence when that is smaller.
+
+const logger = require('./logger');
+const { titleSimilarity } = require('./candidateRanker');
+
+const ACTION_KINDS = ['CREATE', 'UPDATE', 'STATUS_UPDATE'];
+const STATUS_ONLY_TITLE_SIMILARITY = 0.8;
+// Fields allowed to differ from the existing task in a STATUS_UPDATE (the title is checked by similarity)
+const STATUS_ONLY_FIELDS = ['status', 'title'];
+
+const parseJSON = (envName, fallback) => {
+  const raw = process.env[envName];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    logger.warn(`${envName} is not valid JSON. Ignoring it.`);
+    return fallback;
+  }
+};
+
+const isValidRule = (rule) => rule === 'never' || rule === 'always' || (typeof rule === 'number' && rule >= 0 && rule <= 1);
+
+const cleanRules = (rules, source) => Object.fromEntries(Object.entries(rules || {}).filter(([kind, rule]) => {
+  const valid = ACTION_KINDS.includes(kind) && isValidRule(rule);
+  if (!valid) logger.warn(`${source}: ignoring rule ${kind}=${JSON.stringify(rule)}`);
+  return valid;
+}));
+
+const loadPolicy = () => {
+  const byProject = parseJSON('AUTO_APPLY_POLICY_BY_PROJECT', {});
+  return {
+    default: cleanRules(parseJSON('AUTO_APPLY_POLICY', {}), 'AUTO_APPLY_POLICY'),
+    byProject: Object.fromEntries(Object.entries(byProject).map(([project, rules]) => [project.trim().toLowerCase(), cleanRules(rules, `AUTO_APPLY_POLICY_BY_PROJECT.${project}`)])),
+  };
+};
+
+const policy = loadPolicy();
+
+const rulesFor = (project) => ({ ...policy.default, ...(policy.byProject[String(project || "").trim().toLowerCase()] || {}) });
+
+// `proposal.existing` ({ title, status, changed_fields }) is the matched Notion task, set by the
+// comparison. Without `changed_fields` the other fields can't be vouched for, so it is an UPDATE.
+const classifyAction = (proposal) => {
+  if (proposal.action === 'CREATE') return 'CREATE';
+  const existing = proposal.existing;
+  const statusChanged = existing && proposal.status && String(proposal.status).toLowerCase() !== String(existing.status || "").toLowerCase();
+  const othersUnchanged = Array.isArray(existing?.changed_fields) && existing.changed_fields.every(field => STATUS_ONLY_FIELDS.includes(field));
+  if (statusChanged && othersUnchanged && titleSimilarity(proposal.title, existing.title) >= STATUS_ONLY_TITLE_SIMILARITY) return 'STATUS_UPDATE';
+  return 'UPDATE';
+};
+
+const effectiveConfidence = (proposal, normalizationConfidence) => {
+  const compare = Number(proposal.confidence);
+  if (!Number.isFinite(compare)) return null;
+  const normalization = Number(normalizationConfidence);
+  return Number.isFinite(normalization) ? Math.min(compare, normalization) : compare;
+};
+
+// Returns { auto, kind, confidence, rule, reason }
+const evaluateProposal = (proposal, { normalizationConfidence } = {}) => {
+  const kind = classifyAction(proposal);
+  const confidence = effectiveConfidence(proposal, normalizationConfidence);
+  const rule = rulesFor(proposal.project)[kind] ?? 'never';
+  const decision = (auto, reason) => ({ auto, kind, confidence, rule, reason });
+
+  // Anything a reviewer would have to fix first stays in review
+  if (!proposal.targetDbId || proposal.routing !== 'matched') return decision(false, 'database not matched');
+  if (proposal.schemaIssues?.length) return decision(false, 'schema mismatch');
+  if (proposal.owner_ambiguous?.length) return decision(false, 'ambiguous owner');
+
+  if (rule === 'never') return decision(false, `${kind} is never auto-applied`);
+  if (rule === 'always') return decision(true, `${kind} is always auto-applied`);
+  if (confidence === null) return decision(false, 'no confidence');
+  if (confidence < rule) return decision(false, `confidence ${confidence.toFixed(2)} < ${rule}`);
+  return decision(true, `confidence ${confidence.toFixed(2)} ≥ ${rule}`);
+};
+
+// Splits compared proposals into { autoApply: [{ proposal, decision }], review: [proposal] }
+const partitionProposals = (proposals, options = {}) => {
+  const autoApply = [];
+  const review = [];
+  proposals.forEach(proposal => {
+    const decision = evaluateProposal(proposal, options);
+    if (decision.auto) autoApply.push({ proposal, decision });
+    else review.push(proposal);
+  });
+  return { autoApply, review };
+};
+
+module.exports = {
+  ACTION_KINDS,
+  classifyAction,
+  evaluateProposal,
+  partitionProposals
+};
@@ -0,0 +1,96 @@
+// candidateRanker.js
+// Local ranking of existing Notion tasks for a proposal (BM25 over titles and notes), so the
+// CREATE/UPDATE comparison only sees the top-N plausible matches instead of the whole database.
+// Also provides the deterministic (no LLM) comparison used when COMPARE_MODE=deterministic.
+
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2; // Title terms count twice, in documents and in the query
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'will', 'with', 'our', 'new', 'task',
+]);
+
+// Lower-case words, stopwords dropped, plural "s" trimmed ("tiles" and "tile" are one term)
+const tokenize = (text) => String(text || "")
+  .toLowerCase()
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, "")
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token))
+  .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+const weightedTokens = (task) => [
+  ...Array(TITLE_WEIGHT).fill(tokenize(task.title)).flat(),
+  ...tokenize(task.notes),
+];
+
+// existingTasks: [{ id, title, status, notes, url }] (fetchExistingTasks). Build once per data source.
+const buildCandidateIndex = (existingTasks = []) => {
+  const docs = existingTasks.map(task => {
+    const tokens = weightedTokens(task);
+    const tf = new Map();
+    tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+    return { tf, length: tokens.length };
+  });
+
+  const df = new Map();
+  docs.forEach(doc => doc.tf.forEach((count, token) => df.set(token, (df.get(token) || 0) + 1)));
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  return { tasks: existingTasks, docs, df, avgLength };
+};
+
+// Top-N existing tasks for a proposal: [{ task, score }], best first. Tasks sharing no term are left out.
+const rankCandidates = (proposal, index, { topN = 10 } = {}) => {
+  const queryWeights = new Map();
+  weightedTokens(proposal).forEach(token => queryWeights.set(token, Math.min((queryWeights.get(token) || 0) + 1, TITLE_WEIGHT)));
+
+  const total = index.docs.length;
+  const scored = index.docs.map((doc, i) => {
+    let score = 0;
+    queryWeights.forEach((weight, token) => {
+      const frequency = doc.tf.get(token);
+      if (!frequency) return;
+      const docFrequency = index.df.get(token);
+      const idf = Math.log(1 + (total - docFrequency + 0.5) / (docFrequency + 0.5));
+      score += weight * idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / (index.avgLength || 1)));
+    });
+    return { task: index.tasks[i], score };
+  });
+
+  return scored
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topN);
+};
+
+// Dice coefficient of the two titles' term sets
+const titleSimilarity = (a, b) => {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (left.size === 0 || right.size === 0) return 0;
+  const shared = [...left].filter(token => right.has(token)).length;
+  return (2 * shared) / (left.size + right.size);
+};
+
+// No-LLM decision: UPDATE the best-ranked candidate whose title is similar enough, else CREATE.
+// Same output shape as the LLM comparison. Confidence is the title similarity of the match,
+// or for a CREATE how far the closest title is from the proposal's.
+const deterministicCompare = (proposal, ranked, { threshold = 0.6 } = {}) => {
+  const scored = ranked
+    .map(entry => ({ ...entry, similarity: titleSimilarity(proposal.title, entry.task.title) }))
+    .sort((a, b) => b.similarity - a.similarity || b.score - a.score);
+  const match = scored[0] && scored[0].similarity >= threshold ? scored[0] : null;
+
+  if (!match) return { ...proposal, action: 'CREATE', notion_url: "New Task", confidence: 1 - (scored[0]?.similarity || 0) };
+  return { ...proposal, action: 'UPDATE', notion_url: match.task.url, id: match.task.id, confidence: match.similarity };
+};
+
+module.exports = {
+  tokenize,
+  buildCandidateIndex,
+  rankCandidates,
+  titleSimilarity,
+  deterministicCompare
+};
@@ -0,0 +1,22 @@
+// concurrency.js
+// Runs async work over a list with at most `limit` calls in flight; results keep the input order.
+
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
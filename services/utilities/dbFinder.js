@@ -1,4 +1,8 @@
-const findBestDatabaseMatch = async (projectName, allSources) => {
+const { createLLMClient } = require('./llmProvider');
+
+const dbMatchLLM = createLLMClient('db_match');
+
+const findBestDatabaseMatch = async (projectName, allSources, traceId) => {
   if (!projectName || !Array.isArray(allSources) || allSources.length === 0) {
     return null;
   }
@@ -20,24 +24,15 @@ Return exactly the best matching database title.
 If none matches with confidence, return an empty string.
 `;
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-5.2",
-      messages: [
-        { role: "system", content: "You match project names to DB titles." },
-        { role: "user", content: prompt }
-      ],
-      temperature: 0.0
-    })
+  const content = await dbMatchLLM.complete({
+    messages: [
+      { role: "system", content: "You match project names to DB titles." },
+      { role: "user", content: prompt }
+    ],
+    temperature: 0.0,
+    traceId
   });
-
-  const json = await response.json();
-  const text = json.choices?.[0]?.message?.content?.trim();
+  const text = content?.trim();
 
   // The model should return exactly one of the dbTitles, or empty string
   if (dbTitles.includes(text)) {
@@ -0,0 +1,294 @@
+// identityDirectory.js
+// People directory: maps the names, aliases and emails a meeting uses for someone to their
+// Notion user ID (for the `people` Owner property) and Slack user ID (for @-mentions on cards).
+//
+// The directory is filled from three places:
+//   - Read AI `participants` (name + email) on every processed meeting
+//   - syncDirectory(): Notion workspace users and Slack members, joined by email
+//   - manual edits (POST /api/v1/people-directory) and reviewer choices on ambiguous owners
+
+const { Person } = require('@read-ai/shared-config');
+const logger = require('./logger');
+
+const MATCH_THRESHOLD = 0.8;    // Minimum score to count a directory entry as a match
+const AMBIGUITY_MARGIN = 0.1;   // Matches closer than this to the best one make the name ambiguous
+const MAX_CANDIDATES = 5;
+const EMPTY_OWNERS = ['', 'unassigned', 'tbd', 'none', 'n/a', 'unknown'];
+
+// --- MATCHING ---
+
+// "José  O'Neil" -> "jose o neil"
+const normalizeName = (name) => String(name || "")
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/[^a-z0-9@.]+/g, " ")
+  .trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, " ");
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.substring(i, i + 2));
+  return grams;
+};
+
+// Sørensen–Dice coefficient over character bigrams (tolerates typos and transcription errors)
+const diceSimilarity = (a, b) => {
+  if (a === b) return 1;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (!left.length || !right.length) return 0;
+  const counts = new Map();
+  left.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let overlap = 0;
+  right.forEach(gram => {
+    if (counts.get(gram) > 0) {
+      overlap++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  });
+  return (2 * overlap) / (left.length + right.length);
+};
+
+// Everything a person can be called: display name, aliases, email local parts ("sara.lee" -> "sara lee")
+const namesOf = (person) => [
+  person.display_name,
+  ...(person.aliases || []),
+  ...(person.emails || []).map(email => email.split('@')[0].replace(/[._-]+/g, " ")),
+].map(normalizeName).filter(Boolean);
+
+const scorePerson = (name, person) => {
+  const query = normalizeName(name);
+  if (!query) return 0;
+  if (query.includes('@')) return (person.emails || []).some(email => email.toLowerCase() === query) ? 1 : 0;
+
+  const queryTokens = query.split(" ");
+  return Math.max(0, ...namesOf(person).map(candidate => {
+    if (candidate === query) return 1;
+    const candidateTokens = candidate.split(" ");
+    // "Sara" for "Sara Lee": a first name alone is a strong but not certain match
+    if (queryTokens.length === 1 && candidateTokens[0] === query) return 0.85;
+    // "Sara L." for "Sara Lee"
+    if (queryTokens.length === candidateTokens.length && queryTokens.every((token, i) => candidateTokens[i].startsWith(token))) return 0.9;
+    return diceSimilarity(query, candidate);
+  }));
+};
+
+// Resolves one name against the directory.
+// Returns { status: "resolved", person } | { status: "ambiguous", candidates } | { status: "unresolved" }.
+// `attendeeEmails` breaks ties in favour of people who were in the meeting.
+const resolveName = (name, people, { attendeeEmails = [] } = {}) => {
+  const scored = people
+    .map(person => ({ person, score: scorePerson(name, person) }))
+    .filter(entry => entry.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) return { status: 'unresolved' };
+
+  const close = scored.filter(entry => scored[0].score - entry.score < AMBIGUITY_MARGIN);
+  if (close.length === 1) return { status: 'resolved', person: close[0].person };
+
+  const attendees = new Set(attendeeEmails.map(email => String(email).toLowerCase()));
+  const attended = close.filter(entry => (entry.person.emails || []).some(email => attendees.has(email.toLowerCase())));
+  if (attended.length === 1) return { status: 'resolved', person: attended[0].person };
+
+  return { status: 'ambiguous', candidates: close.slice(0, MAX_CANDIDATES).map(entry => entry.person) };
+};
+
+// "Sara and Tom" / "Sara, Tom" / "Sara & Tom" -> ["Sara", "Tom"]
+const splitOwnerNames = (owner) => String(owner || "")
+  .split(/\s*(?:,|;|&|\/|\band\b)\s*/i)
+  .map(name => name.trim())
+  .filter(name => name && !EMPTY_OWNERS.includes(name.toLowerCase()));
+
+// What a proposal keeps about a resolved owner (small: it travels in Slack button values)
+const toOwnerIdentity = (name, person) => ({
+  name,
+  person_id: String(person._id),
+  display_name: person.display_name,
+  notion_user_id: person.notion_user_id || null,
+  slack_user_id: person.slack_user_id || null,
+});
+
+const toCandidate = (person) => ({
+  person_id: String(person._id),
+  display_name: person.display_name,
+  email: person.emails?.[0] || null,
+});
+
+// --- DIRECTORY ---
+
+const loadDirectory = () => Person.find({}).lean();
+
+// Adds proposal.owner_people (resolved) and proposal.owner_ambiguous ([{ name, candidates }])
+const resolveTaskOwners = async (tasks, { participants = [] } = {}) => {
+  const people = await loadDirectory();
+  const attendeeEmails = participants.map(p => p?.email).filter(Boolean);
+
+  return tasks.map(task => {
+    const owner_people = [];
+    const owner_ambiguous = [];
+    splitOwnerNames(task.owner).forEach(name => {
+      const match = resolveName(name, people, { attendeeEmails });
+      if (match.status === 'resolved') owner_people.push(toOwnerIdentity(name, match.person));
+      if (match.status === 'ambiguous') owner_ambiguous.push({ name, candidates: match.candidates.map(toCandidate) });
+    });
+    return { ...task, owner_people, owner_ambiguous };
+  });
+};
+
+// Reviewer picked `personId` for the ambiguous `name`: move it to owner_people and remember the alias
+const chooseOwner = async (task, name, personId) => {
+  const owner_ambiguous = (task.owner_ambiguous || []).filter(entry => entry.name !== name);
+  if (!personId) return { ...task, owner_ambiguous };
+
+  const person = await Person.findByIdAndUpdate(
+    personId,
+    { $addToSet: { aliases: name }, $set: { updated_at: new Date() } },
+    { new: true }
+  ).lean();
+  if (!person) return { ...task, owner_ambiguous };
+
+  return { ...task, owner_ambiguous, owner_people: [...(task.owner_people || []), toOwnerIdentity(name, person)] };
+};
+
+// Adds an alias / email / user ID to the person with one of `emails`, or creates them
+const upsertByEmail = async (emails, { name, source, set = {} }) => {
+  const lower = emails.map(email => email.toLowerCase());
+  const existing = await Person.findOne({ emails: { $in: lower } });
+  if (existing) {
+    if (name && normalizeName(name) !== normalizeName(existing.display_name)) existing.aliases.addToSet(name);
+    lower.forEach(email => existing.emails.addToSet(email));
+    Object.entries(set).forEach(([key, value]) => { if (value) existing[key] = value; });
+    existing.updated_at = new Date();
+    await existing.save();
+    return { person: existing, created: false };
+  }
+  const person = await Person.create({ display_name: name || lower[0], emails: lower, source, ...set });
+  return { person, created: true };
+};
+
+// Read AI participants of a meeting (entries without an email can't be told apart safely)
+const learnParticipants = async (participants = []) => {
+  for (const participant of participants) {
+    if (!participant?.email) continue;
+    try {
+      await upsertByEmail([participant.email], { name: participant.name, source: 'participant' });
+    } catch (err) {
+      logger.warn(`Could not add participant ${participant.email} to the directory: ${err.message}`);
+    }
+  }
+};
+
+const listNotionUsers = async (notion) => {
+  const users = [];
+  let cursor;
+  do {
+    const response = await notion.users.list({ start_cursor: cursor, page_size: 100 });
+    users.push(...response.results.filter(user => user.type === 'person' && user.person?.email));
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  return users;
+};
+
+const listSlackUsers = async (slackClient) => {
+  const users = [];
+  let cursor;
+  do {
+    const response = await slackClient.users.list({ cursor, limit: 200 });
+    users.push(...(response.members || []).filter(user => !user.deleted && !user.is_bot && user.profile?.email));
+    cursor = response.response_metadata?.next_cursor || undefined;
+  } while (cursor);
+  return users;
+};
+
+// Pulls Notion workspace users and Slack members into the directory, joined by email.
+// Either side may fail (missing scopes); the other is still synced.
+const syncDirectory = async ({ notion, slackClient }) => {
+  const report = { notion: { users: 0, created: 0 }, slack: { users: 0, created: 0 }, errors: [] };
+
+  try {
+    const users = await listNotionUsers(notion);
+    report.notion.users = users.length;
+    for (const user of users) {
+      const { created } = await upsertByEmail([user.person.email], { name: user.name, source: 'notion', set: { notion_user_id: user.id } });
+      if (created) report.notion.created++;
+    }
+  } catch (err) {
+    logger.warn(`Notion user sync failed: ${err.message}`);
+    report.errors.push(`notion: ${err.message}`);
+  }
+
+  try {
+    const users = await listSlackUsers(slackClient);
+    report.slack.users = users.length;
+    for (const user of users) {
+      const name = user.profile.real_name || user.real_name || user.name;
+      const { person, created } = await upsertByEmail([user.profile.email], { name, source: 'slack', set: { slack_user_id: user.id } });
+      if (user.profile.display_name && user.profile.display_name !== person.display_name) {
+        await Person.updateOne({ _id: person._id }, { $addToSet: { aliases: user.profile.display_name } });
+      }
+      if (created) report.slack.created++;
+    }
+  } catch (err) {
+    logger.warn(`Slack user sync failed: ${err.message}`);
+    report.errors.push(`slack: ${err.message}`);
+  }
+
+  return report;
+};
+
+// Manual directory edit: matched by `id`, else by any of `emails`, else created
+const savePerson = async ({ id, display_name, aliases, emails, notion_user_id, slack_user_id }) => {
+  const update = { updated_at: new Date() };
+  if (display_name) update.display_name = display_name;
+  if (Array.isArray(aliases)) update.aliases = aliases;
+  if (Array.isArray(emails)) update.emails = emails.map(email => String(email).toLowerCase());
+  if (notion_user_id !== undefined) update.notion_user_id = notion_user_id;
+  if (slack_user_id !== undefined) update.slack_user_id = slack_user_id;
+
+  const filter = id ? { _id: id } : update.emails?.length ? { emails: { $in: update.emails } } : null;
+  if (filter) {
+    const person = await Person.findOneAndUpdate(filter, { $set: update }, { new: true }).lean();
+    if (person) return person;
+    if (id) return null;
+  }
+  if (!display_name) throw new Error("display_name is required for a new person");
+  return (await Person.create({ ...update, source: 'manual' })).toObject();
+};
+
+const listDirectory = async ({ q } = {}) => {
+  const people = await loadDirectory();
+  if (!q) return people.sort((a, b) => a.display_name.localeCompare(b.display_name));
+  return people
+    .map(person => ({ ...person, score: scorePerson(q, person) }))
+    .filter(person => person.score >= MATCH_THRESHOLD / 2)
+    .sort((a, b) => b.score - a.score);
+};
+
+// --- DISPLAY ---
+
+// Owner line for Slack: resolved people as @-mentions (or their directory name), the rest as written
+const formatOwnerMentions = (task) => {
+  const resolved = new Map((task.owner_people || []).map(identity => [identity.name, identity]));
+  const names = splitOwnerNames(task.owner);
+  if (names.length === 0) return task.owner || "Unassigned";
+  return names.map(name => {
+    const identity = resolved.get(name);
+    if (!identity) return name;
+    return identity.slack_user_id ? `<@${identity.slack_user_id}>` : identity.display_name;
+  }).join(", ");
+};
+
+module.exports = {
+  normalizeName,
+  scorePerson,
+  resolveName,
+  splitOwnerNames,
+  resolveTaskOwners,
+  chooseOwner,
+  learnParticipants,
+  syncDirectory,
+  savePerson,
+  listDirectory,
+  formatOwnerMentions
+};
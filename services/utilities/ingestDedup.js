@@ -0,0 +1,49 @@
+// ingestDedup.js
+// Idempotent ingestion: Read AI redelivers meeting_end events and people re-upload the same file.
+// A transcript is a duplicate if its Read AI session id, or failing that its content hash,
+// was already seen in NormalizedTranscript (or is still in flight as a PipelineJob).
+// The lookup is only a fast path: the PipelineJob's unique dedup_keys index is what stops two
+// concurrent deliveries, the second insert failing with a duplicate-key error.
+
+const crypto = require('crypto');
+const { NormalizedTranscript } = require('@read-ai/shared-config/TranscriptModel');
+const { PipelineJob } = require('@read-ai/shared-config');
+
+// Whitespace-insensitive so the same .docx exported twice hashes the same
+const contentHash = (transcript) => crypto
+  .createHash('sha256')
+  .update(String(transcript || "").replace(/\s+/g, " ").trim())
+  .digest('hex');
+
+// Returns { traceId, matchedBy } of the original ingestion, or null
+const findDuplicateIngest = async ({ sourceSessionId, contentHash: hash }) => {
+  const checks = [];
+  if (sourceSessionId) checks.push({ key: 'source_session_id', value: sourceSessionId });
+  if (hash) checks.push({ key: 'content_hash', value: hash });
+
+  for (const { key, value } of checks) {
+    const transcript = await NormalizedTranscript.findOne({ [key]: value }, { transcript_id: 1 }).sort({ createdAt: 1 }).lean();
+    if (transcript) return { traceId: transcript.transcript_id, matchedBy: key };
+
+    // Not normalized yet (or MCP handoff still retrying)
+    const job = await PipelineJob.findOne({ [key]: value, status: { $ne: 'dead' } }, { trace_id: 1 }).sort({ createdAt: 1 }).lean();
+    if (job) return { traceId: job.trace_id, matchedBy: key };
+  }
+  return null;
+};
+
+// Keys a job claims in PipelineJob.dedup_keys
+const dedupKeys = ({ sourceSessionId, contentHash: hash }) => [
+  sourceSessionId ? `session:${sourceSessionId}` : null,
+  hash ? `hash:${hash}` : null,
+].filter(Boolean);
+
+// MongoDB E11000 on the dedup_keys index
+const isDuplicateIngestError = (error) => error?.code === 11000 && /dedup_keys/.test(error.message || "");
+
+module.exports = {
+  contentHash,
+  dedupKeys,
+  findDuplicateIngest,
+  isDuplicateIngestError
+};
@@ -0,0 +1,182 @@
+// jobQueue.js
+// Durable retry queue (MongoDB) for the orchestrator -> MCP handoff.
+// Every received transcript becomes a PipelineJob; failed handoffs are retried with
+// exponential backoff until max_attempts, then parked as "dead" until re-driven by hand.
+// A handoff the MCP server answers with "still running" parks the job as "handed_off": it is
+// handed off again every `checkIntervalMs` (the MCP side is idempotent per trace) until the run
+// is finished, or counted as a failed attempt once it has been running for `maxHandoffWaitMs`.
+
+const { PipelineJob } = require('@read-ai/shared-config');
+const logger = require('./logger');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_HANDOFF_WAIT_MS = 2 * 60 * 60 * 1000;
+
+// 30s, 60s, 120s... capped at 1h, with +/-20% jitter so retries don't line up
+const backoffDelay = (attempts, baseDelayMs) => {
+  const delay = Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// 4xx means the MCP server rejected the transcript itself: retrying won't help
+// (408 / 429 are the exceptions, those are worth another go)
+const isPermanentError = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+};
+
+// handler: async (job) => void | { settled: false }, throws on failure.
+// { settled: false } = accepted, but the work it started isn't finished yet.
+const createJobQueue = ({
+  handler,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS,
+  maxHandoffWaitMs = DEFAULT_MAX_HANDOFF_WAIT_MS,
+}) => {
+  let polling = false;
+  let timer = null;
+
+  const runJob = async (job) => {
+    const traceId = job.trace_id;
+    const attempts = job.attempts + 1;
+
+    try {
+      const result = await handler(job);
+      if (result?.settled === false) {
+        const handedOffAt = job.handed_off_at || new Date();
+        if (Date.now() - new Date(handedOffAt).getTime() > maxHandoffWaitMs) {
+          throw new Error(`MCP run still not finished after ${Math.round(maxHandoffWaitMs / 60000)} min`);
+        }
+        // Not an attempt: the handoff worked, we only wait for its outcome
+        const nextCheck = new Date(Date.now() + checkIntervalMs);
+        await PipelineJob.updateOne({ trace_id: traceId }, {
+          $set: { status: 'handed_off', handed_off_at: handedOffAt, next_attempt_at: nextCheck, locked_at: null },
+        });
+        return { status: 'handed_off', attempts: job.attempts };
+      }
+      await PipelineJob.updateOne({ trace_id: traceId }, {
+        $set: { status: 'completed', attempts, completed_at: new Date(), last_error: null, handed_off_at: null },
+        $push: { attempt_log: { attempted_at: new Date() } },
+      });
+      return { status: 'completed', attempts };
+
+    } catch (error) {
+      const errMsg = error.response?.data?.error || error.message;
+      const dead = attempts >= job.max_attempts || isPermanentError(error);
+      const update = {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        last_error: errMsg,
+        locked_at: null,
+        handed_off_at: null,
+      };
+      if (!dead) update.next_attempt_at = new Date(Date.now() + backoffDelay(attempts, baseDelayMs));
+
+      await PipelineJob.updateOne({ trace_id: traceId }, {
+        $set: update,
+        // A dead job stops blocking new deliveries of the same transcript
+        ...(dead ? { $unset: { dedup_keys: 1 } } : {}),
+        $push: { attempt_log: { attempted_at: new Date(), error: errMsg, status_code: error.response?.status } },
+      });
+
+      if (dead) {
+        logger.error(`[Jobs] Dead-lettered after ${attempts} attempt(s): ${errMsg}`, null, { traceId });
+      } else {
+        logger.warn(`[Jobs] Attempt ${attempts}/${job.max_attempts} failed, retrying at ${update.next_attempt_at.toISOString()}: ${errMsg}`, { traceId });
+      }
+      return { status: update.status, attempts, error: errMsg };
+    }
+  };
+
+  // Stores the job and makes the first attempt right away. `dedupKeys` are claimed uniquely:
+  // the insert throws a duplicate-key error when another job holds one of them.
+  const enqueue = async (traceId, payload, { sourceSessionId, contentHash, dedupKeys = [] } = {}) => {
+    const job = await PipelineJob.create({
+      trace_id: traceId,
+      payload,
+      source_session_id: sourceSessionId,
+      content_hash: contentHash,
+      ...(dedupKeys.length ? { dedup_keys: dedupKeys } : {}),
+      status: 'processing',
+      locked_at: new Date(),
+      max_attempts: maxAttempts,
+    });
+    return runJob(job);
+  };
+
+  // Claims due jobs one at a time until none are left
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      let job;
+      while ((job = await PipelineJob.findOneAndUpdate(
+        { status: { $in: ['pending', 'handed_off'] }, next_attempt_at: { $lte: new Date() } },
+        { $set: { status: 'processing', locked_at: new Date() } },
+        { sort: { next_attempt_at: 1 }, new: true }
+      ))) {
+        if (job.handed_off_at) logger.info(`[Jobs] Checking on the MCP run handed off at ${job.handed_off_at.toISOString()}`, { traceId: job.trace_id });
+        else logger.info(`[Jobs] Retrying handoff (attempt ${job.attempts + 1}/${job.max_attempts})`, { traceId: job.trace_id });
+        await runJob(job);
+      }
+    } catch (error) {
+      logger.error("[Jobs] Poll failed", error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  // The orchestrator runs as a single instance, so anything still "processing" at boot
+  // was interrupted by the restart and goes back in line ("handed_off" jobs keep waiting).
+  const start = async () => {
+    const { modifiedCount } = await PipelineJob.updateMany(
+      { status: 'processing', handed_off_at: null },
+      { $set: { status: 'pending', next_attempt_at: new Date(), locked_at: null } }
+    );
+    await PipelineJob.updateMany(
+      { status: 'processing', handed_off_at: { $ne: null } },
+      { $set: { status: 'handed_off', next_attempt_at: new Date(), locked_at: null } }
+    );
+    if (modifiedCount) logger.info(`[Jobs] Resuming ${modifiedCount} interrupted job(s).`);
+    timer = setInterval(poll, pollIntervalMs);
+    poll(); // Don't hold up server startup
+  };
+
+  const stop = () => clearInterval(timer);
+
+  // Manual re-drive: a fresh set of attempts for a dead (or stuck pending / handed off) job
+  const redrive = async (traceId) => {
+    const job = await PipelineJob.findOneAndUpdate(
+      { trace_id: traceId, status: { $in: ['dead', 'pending', 'handed_off'] } },
+      { $set: { status: 'processing', locked_at: new Date(), attempts: 0, next_attempt_at: new Date(), handed_off_at: null } },
+      { new: true }
+    );
+    if (!job) return null;
+    logger.info(`[Jobs] Re-driving job manually.`, { traceId });
+    return runJob(job);
+  };
+
+  const list = async ({ status, limit = 50 } = {}) => {
+    const filter = status ? { status } : {};
+    return PipelineJob.find(filter, { 'payload.transcript': 0, 'payload.speaker_blocks': 0 })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .lean();
+  };
+
+  const get = async (traceId) => PipelineJob.findOne({ trace_id: traceId }, { 'payload.transcript': 0, 'payload.speaker_blocks': 0 }).lean();
+
+  return { enqueue, start, stop, poll, redrive, list, get };
+};
+
+module.exports = {
+  createJobQueue,
+  backoffDelay,
+  isPermanentError
+};
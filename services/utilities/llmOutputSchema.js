@@ -0,0 +1,341 @@
+// llmOutputSchema.js
+// Strict schemas for what the model returns (normalized transcript, CREATE/UPDATE comparison).
+// Fields that are merely malformed are coerced ("0.8" -> 0.8, "next Friday" -> 2026-10-23,
+// "created" -> "CREATE"); anything that can't be fixed is an error. Errors get one repair
+// round-trip to the model; output that is still invalid is recorded with its validation report.
+
+const { LLMOutputRejection } = require('@read-ai/shared-config');
+const logger = require('./logger');
+
+// --- Schema descriptors ---
+// { type: 'string' | 'number' | 'date' | 'enum' | 'array' | 'object', required?, default?, ... }
+
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const num = (extra = {}) => ({ type: 'number', ...extra });
+const date = () => ({ type: 'date', default: null });
+const oneOf = (values, extra = {}) => ({ type: 'enum', values, ...extra });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, default: [], ...extra });
+const objectOf = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+// 0..1 score; percentages (85 or "85%") are scaled down
+const ratio = () => num({ min: 0, max: 1, percent: true });
+
+const TASK_SCHEMA = objectOf({
+  task_title: str({ required: true }),
+  proposal_type: oneOf(['Create new Task', 'Update existing Task'], { default: 'Create new Task' }),
+  linked_jtbd: objectOf({ name: str(), url: str() }, { fromString: 'name' }),
+  owner: str({ default: 'Unassigned' }),
+  status: oneOf(['In progress', 'Done', 'To do'], { default: 'To do' }),
+  priority_level: oneOf(['High', 'Medium', 'Low'], { default: 'Medium' }),
+  source: str(),
+  start_date: date(),
+  due_date: date(),
+  focus_this_week: oneOf(['Yes', 'No'], { default: 'No', aliases: { true: 'Yes', false: 'No' } }),
+  notes: str({ default: "" }),
+  evidence: arrayOf(objectOf({ quote: str({ required: true }), speaker: str() }, { fromString: 'quote' })),
+});
+
+const NORMALIZED_SCHEMA = objectOf({
+  transcript_id: str(),
+  participants: arrayOf(objectOf({ name: str(), email: str(), role: str() }, { fromString: 'name' })),
+  summary: objectOf({
+    key_points: arrayOf(str()),
+    action_items_count: num({ min: 0 }),
+    decisions_count: num({ min: 0 }),
+  }, { default: {} }),
+  extracted_entities: objectOf({
+    dates: arrayOf(str()),
+    people: arrayOf(str()),
+    decisions: arrayOf(str()),
+    projects: arrayOf(objectOf({
+      project_name: str({ required: true }),
+      tasks: arrayOf(TASK_SCHEMA),
+      associated_decisions: arrayOf(str()),
+    }), { required: true, default: undefined }),
+  }, { required: true }),
+  source_specific: objectOf({}, { default: {} }),
+  quality_metrics: objectOf({
+    transcription_accuracy: ratio(),
+    normalization_confidence: ratio(),
+  }, { default: {} }),
+});
+
+const COMPARE_SCHEMA = objectOf({
+  action: oneOf(['CREATE', 'UPDATE'], { required: true, aliases: { CREATED: 'CREATE', UPDATED: 'UPDATE', NEW: 'CREATE' } }),
+  notion_url: str(),
+  title: str(),
+  confidence: ratio(),
+});
+
+// --- Dates ---
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const toDay = (d) => d.toISOString().slice(0, 10);
+const addDays = (d, n) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + n));
+
+// The day only if it exists: Date rolls 2026-02-30 over to March 2nd, so compare the round trip
+const calendarDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? toDay(date) : null;
+};
+
+// "YYYY-MM-DD", full timestamps, "today", "tomorrow", "(this|next) friday", "in 3 days",
+// "end of week", "next week". Relative dates count from `referenceDate` (the meeting's start).
+// Returns null when the text isn't a date we can pin down, or names a day that doesn't exist.
+const coerceDate = (value, referenceDate = new Date()) => {
+  const text = String(value).trim().toLowerCase();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})([t ].*)?$/);
+  if (iso) {
+    if (iso[4] && Number.isNaN(Date.parse(value))) return null;
+    return calendarDay(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const ref = addDays(referenceDate, 0);
+  if (text === 'today') return toDay(ref);
+  if (text === 'tomorrow') return toDay(addDays(ref, 1));
+  if (text === 'next week') return toDay(addDays(ref, 7));
+  if (/^(the )?end of (the |this )?week$/.test(text)) return toDay(addDays(ref, (5 - ref.getUTCDay() + 7) % 7));
+
+  const inDays = text.match(/^in (\d+) (day|week)s?$/);
+  if (inDays) return toDay(addDays(ref, Number(inDays[1]) * (inDays[2] === 'week' ? 7 : 1)));
+
+  // "friday", "this friday", "next friday": the first Friday after the reference date
+  const weekday = text.match(/^(?:(?:this|next|on|by) )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (weekday) return toDay(addDays(ref, (WEEKDAYS.indexOf(weekday[1]) - ref.getUTCDay() + 7) % 7 || 7));
+
+  // "October 24, 2026"... (only when a year is given, so "Oct 24" isn't guessed). Parsed as local
+  // time; "February 30, 2026" parses too (as March 2nd), so the written day must survive.
+  if (/\d{4}/.test(text) && !Number.isNaN(Date.parse(value))) {
+    const parsed = new Date(Date.parse(value));
+    const writtenDay = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b(?![:\d])/);
+    if (writtenDay && Number(writtenDay[1]) !== parsed.getDate()) return null;
+    return calendarDay(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+  return null;
+};
+
+// --- Validation ---
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// Walks `value` against `schema`. Returns the coerced value; problems go to ctx.errors (unfixable)
+// and ctx.coercions (fixed, reported for the record).
+const check = (schema, value, path, ctx) => {
+  const where = path || '(root)';
+  const fixed = (to, why) => { ctx.coercions.push(`${where}: ${why}`); return to; };
+  const missing = value === undefined || value === null || (value === "" && schema.type !== 'string');
+
+  if (missing) {
+    if (schema.required) { ctx.errors.push(`${where}: required`); return value; }
+    return schema.default === undefined ? value : JSON.parse(JSON.stringify(schema.default));
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number' || typeof value === 'boolean') return fixed(String(value), `${typeOf(value)} -> string`);
+      if (Array.isArray(value) && value.every(v => typeof v === 'string')) return fixed(value.join(', '), 'list joined into a string');
+      ctx.errors.push(`${where}: expected string, got ${typeOf(value)}`);
+      return value;
+    }
+
+    case 'number': {
+      let number = value;
+      if (typeof value === 'string') {
+        const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%?)$/);
+        if (!match) { ctx.errors.push(`${where}: expected number, got "${value}"`); return value; }
+        number = Number(match[1]) / (match[2] ? 100 : 1);
+        fixed(number, `"${value}" -> ${number}`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        ctx.errors.push(`${where}: expected number, got ${typeOf(value)}`);
+        return value;
+      }
+      if (schema.percent && number > 1 && number <= 100) number = fixed(number / 100, `${number} read as a percentage`);
+      if ((schema.min !== undefined && number < schema.min) || (schema.max !== undefined && number > schema.max)) {
+        const clamped = Math.min(Math.max(number, schema.min ?? number), schema.max ?? number);
+        number = fixed(clamped, `${number} clamped to ${clamped}`);
+      }
+      return number;
+    }
+
+    case 'date': {
+      const day = coerceDate(value, ctx.referenceDate);
+      if (day === value) return day;
+      if (day) return fixed(day, `"${value}" -> ${day}`);
+      return fixed(null, `"${value}" is not a date, cleared`);
+    }
+
+    case 'enum': {
+      const key = String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+      const match = schema.values.find(v => v.toLowerCase() === key)
+        ?? Object.entries(schema.aliases || {}).find(([alias]) => alias.toLowerCase() === key)?.[1];
+      if (match === value) return value;
+      if (match) return fixed(match, `"${value}" -> "${match}"`);
+      if (schema.default !== undefined && !schema.required) return fixed(schema.default, `"${value}" is not one of ${schema.values.join(' | ')}, defaulted to "${schema.default}"`);
+      ctx.errors.push(`${where}: "${value}" is not one of ${schema.values.join(' | ')}`);
+      return value;
+    }
+
+    case 'array': {
+      let items = value;
+      if (!Array.isArray(value)) {
+        if (typeOf(value) === 'object' && schema.items.type === 'object') items = fixed([value], 'single object wrapped in a list');
+        else if (typeof value === 'string' && schema.items.type !== 'object') items = fixed([value], 'single value wrapped in a list');
+        else if (typeof value === 'string' && schema.items.fromString) items = [value];
+        else { ctx.errors.push(`${where}: expected list, got ${typeOf(value)}`); return value; }
+      }
+      return items.map((item, i) => check(schema.items, item, `${path}[${i}]`, ctx));
+    }
+
+    case 'object': {
+      let object = value;
+      if (typeof value === 'string' && schema.fromString) object = fixed({ [schema.fromString]: value }, `string -> { ${schema.fromString} }`);
+      if (typeOf(object) !== 'object') { ctx.errors.push(`${where}: expected object, got ${typeOf(value)}`); return value; }
+      // Unknown keys pass through untouched
+      const result = { ...object };
+      Object.entries(schema.properties).forEach(([key, child]) => {
+        const next = check(child, object[key], path ? `${path}.${key}` : key, ctx);
+        if (next !== undefined) result[key] = next;
+      });
+      return result;
+    }
+
+    default:
+      return value;
+  }
+};
+
+const runSchema = (schema, value, options = {}) => {
+  const ctx = { errors: [], coercions: [], referenceDate: options.referenceDate || new Date() };
+  const result = check(schema, value, "", ctx);
+  return { value: result, errors: ctx.errors, coercions: ctx.coercions };
+};
+
+// Normalized transcript: the shape extractTranscriptPart's prompt asks for
+const validateNormalized = (output, { referenceDate } = {}) => runSchema(NORMALIZED_SCHEMA, output, { referenceDate });
+
+// Fields the compare prompt must copy from the proposal unchanged
+const PRESERVED_FIELDS = ['owner', 'priority', 'linked_jtbd', 'start_date', 'due_date', 'focus_this_week'];
+
+// CREATE/UPDATE result. An UPDATE must point at one of the candidates it was shown.
+const validateCompare = (output, { proposal = {}, candidates = [] } = {}) => {
+  const report = runSchema(COMPARE_SCHEMA, output);
+  const result = report.value;
+  if (report.errors.length || typeOf(result) !== 'object') return report;
+
+  if (!result.title) {
+    result.title = proposal.title;
+    report.coercions.push('title: missing, copied from the proposal');
+  }
+  PRESERVED_FIELDS.forEach(field => {
+    if (proposal[field] !== undefined && JSON.stringify(result[field]) !== JSON.stringify(proposal[field])) {
+      result[field] = proposal[field];
+      report.coercions.push(`${field}: must match the proposal, restored`);
+    }
+  });
+
+  if (result.action === 'CREATE') {
+    if (result.notion_url !== "New Task") {
+      if (result.notion_url !== undefined) report.coercions.push(`notion_url: "${result.notion_url}" -> "New Task" for a CREATE`);
+      result.notion_url = "New Task";
+    }
+    return report;
+  }
+
+  const compact = (url) => String(url || "").replace(/-/g, "").match(/[a-f0-9]{32}/i)?.[0]?.toLowerCase();
+  const match = candidates.find(c => c.url === result.notion_url)
+    || candidates.find(c => compact(result.notion_url) && (compact(c.url) === compact(result.notion_url) || compact(c.id) === compact(result.notion_url)));
+  if (!match) {
+    report.errors.push(`notion_url: "${result.notion_url}" is not one of the existing tasks provided`);
+    return report;
+  }
+  if (result.notion_url !== match.url) report.coercions.push(`notion_url: "${result.notion_url}" -> "${match.url}"`);
+  result.notion_url = match.url;
+  result.id = result.id || match.id;
+  return report;
+};
+
+// --- Repair round-trip ---
+
+class LLMOutputError extends Error {
+  constructor(callSite, report) {
+    super(`${callSite} output failed validation: ${report.errors.slice(0, 5).join('; ')}${report.errors.length > 5 ? ` (+${report.errors.length - 5} more)` : ""}`);
+    this.name = 'LLMOutputError';
+    this.code = 'LLM_OUTPUT_INVALID';
+    this.report = report;
+  }
+}
+
+const parseAndValidate = (content, validate) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (err) {
+    return { value: undefined, errors: [`(root): not valid JSON (${err.message})`], coercions: [] };
+  }
+  return validate(parsed);
+};
+
+const repairPrompt = (errors) => `
+    Your previous answer did not match the required JSON schema. Problems found:
+    ${errors.map(e => `- ${e}`).join('\n    ')}
+    Return the complete corrected JSON object (not only the fixed fields). RETURN ONLY VALID JSON.
+    `;
+
+// Never throws: a failed record must not hide the validation error itself
+const recordRejection = async ({ traceId, callSite, model, attempts }) => {
+  try {
+    await LLMOutputRejection.create({ trace_id: traceId, call_site: callSite, model, attempts });
+  } catch (err) {
+    logger.error("Failed to record rejected LLM output", err, { traceId });
+  }
+};
+
+// completeJSON with validation: one repair round-trip with the errors, then LLMOutputError.
+// Returns { value, coercions, repaired }.
+const completeValidated = async (llm, request, validate) => {
+  const { traceId } = request;
+  const callSite = llm.config.callSite;
+  const attempts = [];
+
+  let messages = request.messages;
+  let report;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const content = await llm.complete({ ...request, messages, json: true });
+    report = parseAndValidate(content, validate);
+    attempts.push({ output: content, validation_errors: report.errors, coercions: report.coercions });
+
+    if (report.errors.length === 0) {
+      if (report.coercions.length) logger.info(`${callSite}: coerced ${report.coercions.length} field(s): ${report.coercions.slice(0, 5).join('; ')}`, { traceId });
+      return { value: report.value, coercions: report.coercions, repaired: attempt > 0 };
+    }
+
+    logger.warn(`${callSite}: ${report.errors.length} validation error(s)${attempt === 0 ? ', asking the model to repair' : ' after repair'}`, { traceId });
+    messages = [...request.messages, { role: "assistant", content }, { role: "user", content: repairPrompt(report.errors) }];
+  }
+
+  await recordRejection({ traceId, callSite, model: llm.config.model, attempts });
+  throw new LLMOutputError(callSite, report);
+};
+
+// Rejections for the admin endpoint, newest first; the raw outputs are left out unless asked for
+const listRejections = async ({ trace_id, call_site, include_output, limit } = {}) => {
+  const filter = {};
+  if (trace_id) filter.trace_id = trace_id;
+  if (call_site) filter.call_site = call_site;
+  const projection = include_output === 'true' ? {} : { 'attempts.output': 0 };
+  return LLMOutputRejection.find(filter, projection)
+    .sort({ created_at: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+};
+
+module.exports = {
+  NORMALIZED_SCHEMA,
+  COMPARE_SCHEMA,
+  coerceDate,
+  validateNormalized,
+  validateCompare,
+  completeValidated,
+  listRejections,
+  LLMOutputError
+};
@@ -0,0 +1,134 @@
+// llmProvider.js
+// One chat-completion interface for every LLM call site (normalization, CREATE/UPDATE compare, DB matching).
+//
+// Provider (LLM_PROVIDER):
+//   "openai" (default) - any OpenAI-compatible /chat/completions endpoint (OpenAI, Ollama, vLLM, LM Studio...)
+//   "record"           - calls the endpoint and saves every response to LLM_FIXTURES_DIR
+//   "replay"           - serves saved responses from LLM_FIXTURES_DIR, never touches the network
+//
+// Per call site overrides use the upper-cased site name, e.g. LLM_NORMALIZE_MODEL, LLM_COMPARE_BASE_URL.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { createRateLimitedFetch } = require('./rateLimitedFetch');
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-5.2";
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../../fixtures/llm');
+
+// Every call site shares one rate limit / retry policy (LLM_RATE_LIMIT_PER_SEC, LLM_TIMEOUT_MS, LLM_MAX_RETRIES)
+const llmFetch = createRateLimitedFetch('llm');
+
+// Resolves model / endpoint / key for a call site (site-specific env > global env > defaults)
+const resolveConfig = (callSite, overrides = {}) => {
+  const prefix = `LLM_${callSite.toUpperCase()}_`;
+  const env = (name) => process.env[`${prefix}${name}`] || process.env[`LLM_${name}`];
+  return {
+    callSite,
+    provider: overrides.provider || env('PROVIDER') || "openai",
+    model: overrides.model || env('MODEL') || DEFAULT_MODEL,
+    baseUrl: (overrides.baseUrl || env('BASE_URL') || DEFAULT_BASE_URL).replace(/\/$/, ""),
+    apiKey: overrides.apiKey || env('API_KEY') || process.env.OPENAI_API_KEY,
+    fixturesDir: overrides.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+  };
+};
+
+// --- PROVIDER: OPENAI-COMPATIBLE HTTP ---
+const openAICompatibleProvider = (config) => ({
+  complete: async ({ messages, json, temperature }) => {
+    const isOpenAI = config.baseUrl === DEFAULT_BASE_URL;
+    if (isOpenAI && !config.apiKey) throw new Error("OpenAI API Key is missing.");
+
+    const headers = { "Content-Type": "application/json" };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+    const body = { model: config.model, messages };
+    if (json) body.response_format = { type: "json_object" };
+    if (temperature !== undefined) body.temperature = temperature;
+
+    const response = await llmFetch(`${config.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`LLM API Error (${config.callSite}): ${response.status} - ${errorText}`);
+    }
+
+    const completion = await response.json();
+    const content = completion.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') throw new Error(`LLM API Error (${config.callSite}): empty completion`);
+    return content;
+  }
+});
+
+// --- PROVIDERS: RECORD / REPLAY (fixtures on disk) ---
+
+// Same call site + model + messages + format = same fixture file
+const fixturePath = (config, request) => {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({ model: config.model, messages: request.messages, json: !!request.json }))
+    .digest('hex')
+    .substring(0, 16);
+  return path.join(config.fixturesDir, `${config.callSite}-${hash}.json`);
+};
+
+const recordProvider = (config) => {
+  const upstream = openAICompatibleProvider(config);
+  return {
+    complete: async (request) => {
+      const content = await upstream.complete(request);
+      const file = fixturePath(config, request);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        call_site: config.callSite,
+        model: config.model,
+        recorded_at: new Date().toISOString(),
+        messages: request.messages,
+        content
+      }, null, 2));
+      logger.info(`[LLM] Recorded ${path.basename(file)}`, { traceId: request.traceId });
+      return content;
+    }
+  };
+};
+
+const replayProvider = (config) => ({
+  complete: async (request) => {
+    const file = fixturePath(config, request);
+    if (!fs.existsSync(file)) {
+      throw new Error(`LLM replay miss (${config.callSite}): no fixture ${path.basename(file)} in ${config.fixturesDir}. Run once with LLM_PROVIDER=record.`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).content;
+  }
+});
+
+const PROVIDERS = {
+  openai: openAICompatibleProvider,
+  record: recordProvider,
+  replay: replayProvider,
+};
+
+// Returns { config, complete(request) => string, completeJSON(request) => object } for a call site.
+// request: { messages, json?, temperature?, traceId? }
+const createLLMClient = (callSite, overrides = {}) => {
+  const config = resolveConfig(callSite, overrides);
+  const factory = PROVIDERS[config.provider];
+  if (!factory) throw new Error(`Unknown LLM provider "${config.provider}" for ${callSite}`);
+  const provider = factory(config);
+
+  const complete = (request) => provider.complete(request);
+  const completeJSON = async (request) => JSON.parse(await complete({ ...request, json: true }));
+
+  return { config, complete, completeJSON };
+};
+
+module.exports = {
+  createLLMClient,
+  resolveConfig,
+  PROVIDERS
+};
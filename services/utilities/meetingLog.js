@@ -0,0 +1,59 @@
+// meetingLog.js
+// Running history on the Notion task page: every accepted proposal appends one dated entry
+// to the page body (meeting title and date, the new notes, the supporting quotes, a link
+// back to the transcript record) instead of overwriting the Notes property.
+//
+// TRANSCRIPT_LINK_BASE_URL = public URL of the MCP server, e.g. https://readai.example.com
+// (without it the entry names the transcript id instead of linking to it)
+
+const { evidenceQuoteBlocks } = require('./taskEvidence');
+
+const MAX_RICH_TEXT_CHARS = 2000; // Notion limit per rich_text item
+
+const text = (content, extra = {}) => ({ type: "text", text: { content, ...(extra.link ? { link: { url: extra.link } } : {}) }, ...(extra.annotations ? { annotations: extra.annotations } : {}) });
+
+// Long notes are split across rich_text items
+const chunkText = (value) => {
+  const chunks = [];
+  for (let i = 0; i < value.length; i += MAX_RICH_TEXT_CHARS) chunks.push(text(value.substring(i, i + MAX_RICH_TEXT_CHARS)));
+  return chunks;
+};
+
+const transcriptUrl = (transcriptId) => {
+  const base = (process.env.TRANSCRIPT_LINK_BASE_URL || "").replace(/\/$/, "");
+  return base && transcriptId ? `${base}/api/v1/transcripts/${encodeURIComponent(transcriptId)}?include_raw=false` : null;
+};
+
+// Blocks for one entry: heading, notes, quotes, transcript link, divider.
+// All top-level, so the ids returned by blocks.children.append are everything Undo has to remove.
+const meetingLogBlocks = ({ meetingTitle, date = new Date(), notes, evidence = [], transcriptId } = {}) => {
+  const day = new Date(date).toISOString().substring(0, 10);
+  const url = transcriptUrl(transcriptId);
+  const blocks = [
+    {
+      object: "block",
+      type: "heading_3",
+      heading_3: { rich_text: [text(`🗓️ ${day} · ${meetingTitle || "Meeting"}`.substring(0, MAX_RICH_TEXT_CHARS))] }
+    }
+  ];
+  const trimmed = String(notes || "").trim();
+  if (trimmed) blocks.push({ object: "block", type: "paragraph", paragraph: { rich_text: chunkText(trimmed) } });
+  blocks.push(...evidenceQuoteBlocks(evidence));
+  if (transcriptId) {
+    blocks.push({
+      object: "block",
+      type: "paragraph",
+      paragraph: {
+        rich_text: url
+          ? [text("Transcript: ", { annotations: { italic: true } }), text(transcriptId, { link: url })]
+          : [text("Transcript: ", { annotations: { italic: true } }), text(transcriptId, { annotations: { code: true } })]
+      }
+    });
+  }
+  blocks.push({ object: "block", type: "divider", divider: {} });
+  return blocks;
+};
+
+module.exports = {
+  meetingLogBlocks
+};
@@ -0,0 +1,117 @@
+// notionCatalog.js
+// In-memory cache of the Notion catalog: the data source list (notion.search) and the rows of
+// each data source. Entries expire after `ttlMs`; accepted proposals are written into the cached
+// rows right away so the next comparison sees them without a re-fetch.
+//
+// The loaders do the actual Notion paging; this module only decides when to call them.
+
+const logger = require('./logger');
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// Milliseconds >= 0 (0 = always re-fetch); unset or unparseable falls back to the default
+const parseTtl = (value) => {
+  if (value === undefined || value === null || value === "") return DEFAULT_TTL_MS;
+  const ms = Number(value);
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  logger.warn(`Notion cache TTL "${value}" is not a number of milliseconds. Using ${DEFAULT_TTL_MS}.`);
+  return DEFAULT_TTL_MS;
+};
+
+const createNotionCatalog = ({ loadDatabases, loadRows, ttlMs: ttlSetting = DEFAULT_TTL_MS }) => {
+  const ttlMs = parseTtl(ttlSetting);
+  let databases = null;        // { value, fetchedAt }
+  const rows = new Map();      // data_source_id -> { value, fetchedAt }
+  const inFlight = new Map();  // key -> promise, so concurrent misses share one fetch
+  const pendingUpserts = new Map(); // data_source_id -> pages written while its rows were loading
+
+  const isFresh = (entry) => entry && Date.now() - entry.fetchedAt < ttlMs;
+
+  const load = (key, loader, store) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = loader()
+      .then(value => store({ value, fetchedAt: Date.now() }))
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  const listDatabases = async ({ refresh = false } = {}) => {
+    if (!refresh && isFresh(databases)) return databases.value;
+    return load('databases', loadDatabases, entry => {
+      databases = entry;
+      return entry.value;
+    });
+  };
+
+  const withPage = (value, page) => {
+    const index = value.findIndex(row => row.id === page.id);
+    const next = [...value];
+    if (index === -1) next.push(page);
+    else next[index] = page;
+    return next;
+  };
+
+  const getRows = async (dataSourceId, { refresh = false } = {}) => {
+    const entry = rows.get(dataSourceId);
+    if (!refresh && isFresh(entry)) return entry.value;
+    const key = `rows:${dataSourceId}`;
+    if (!inFlight.has(key)) pendingUpserts.set(dataSourceId, []);
+    return load(key, () => loadRows(dataSourceId), next => {
+      // The load may have read the data source before these writes: put them back on top
+      const pending = pendingUpserts.get(dataSourceId) || [];
+      pendingUpserts.delete(dataSourceId);
+      const value = pending.reduce(withPage, next.value);
+      rows.set(dataSourceId, { ...next, value });
+      return value;
+    });
+  };
+
+  // A page was created or updated through us: replace it in (or add it to) the cached rows.
+  // Nothing to do when the data source isn't cached or loading; it will be fetched fresh next time.
+  const upsertRow = (dataSourceId, page) => {
+    if (!page?.id) return;
+    pendingUpserts.get(dataSourceId)?.push(page);
+    const entry = rows.get(dataSourceId);
+    if (entry) rows.set(dataSourceId, { ...entry, value: withPage(entry.value, page) });
+  };
+
+  // Drops one data source's rows, or everything when called without an id
+  const invalidate = (dataSourceId) => {
+    if (dataSourceId) {
+      rows.delete(dataSourceId);
+      return;
+    }
+    databases = null;
+    rows.clear();
+  };
+
+  // Admin refresh: reloads the database list and the requested (or every cached) data source now
+  const refresh = async ({ dataSourceId } = {}) => {
+    const ids = dataSourceId ? [dataSourceId] : [...rows.keys()];
+    const result = { databases: (await listDatabases({ refresh: true })).length, rows: {} };
+    for (const id of ids) {
+      try {
+        result.rows[id] = (await getRows(id, { refresh: true })).length;
+      } catch (err) {
+        logger.warn(`Notion catalog refresh failed for ${id}: ${err.message}`);
+        rows.delete(id);
+        result.rows[id] = { error: err.message };
+      }
+    }
+    return result;
+  };
+
+  const stats = () => ({
+    ttl_ms: ttlMs,
+    databases: databases ? { count: databases.value.length, fetched_at: new Date(databases.fetchedAt), fresh: isFresh(databases) } : null,
+    data_sources: [...rows.entries()].map(([id, entry]) => ({ id, rows: entry.value.length, fetched_at: new Date(entry.fetchedAt), fresh: isFresh(entry) })),
+  });
+
+  return { listDatabases, getRows, upsertRow, invalidate, refresh, stats };
+};
+
+module.exports = {
+  createNotionCatalog,
+  DEFAULT_TTL_MS
+};
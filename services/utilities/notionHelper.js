@@ -5,19 +5,29 @@ const parseTitle = (prop) => {
   return prop?.title?.map(t => t.plain_text).join("") || "";
 };
 
-// Extracts status from the Notion status property
+// Extracts status from the Notion status (or select) property
 const parseStatus = (prop) => {
-  return prop?.status?.name || "";
+  return prop?.status?.name || prop?.select?.name || "";
 };
 
-// Simplifies the Notion page into only id, task, and status
-const simplifyAnyPage = (page) => {
+// Extracts plain text from a Notion rich_text property
+const parseRichText = (prop) => {
+  return prop?.rich_text?.map(t => t.plain_text).join("") || "";
+};
+
+// Simplifies the Notion page into only id, task, status (and notes when mapped).
+// `mapping` is the data source's property mapping (see propertyMapping.js); defaults to "Tasks" / "Status".
+const simplifyAnyPage = (page, mapping = null) => {
   const props = page.properties || {};
+  const titleName = mapping?.title?.name || "Tasks";
+  const statusName = mapping?.status?.name || "Status";
+  const notesName = mapping?.notes?.name;
 
   return {
     id: page.id,
-    task: parseTitle(props.Tasks),
-    status: parseStatus(props.Status)
+    task: parseTitle(props[titleName]),
+    status: parseStatus(props[statusName]),
+    notes: notesName ? parseRichText(props[notesName]) : undefined
   };
 };
 
@@ -0,0 +1,57 @@
+// pageSnapshot.js
+// Before/after copies of Notion page properties, so a write made by the pipeline can be undone.
+// A retrieved property ({ id, type, status: { id, name, color } }) isn't accepted back by
+// pages.update as-is; toWritableProperty converts it to the request shape.
+
+const richText = (items = []) => items.map(item => ({
+  type: 'text',
+  text: { content: item.plain_text ?? item.text?.content ?? "", link: item.href ? { url: item.href } : null },
+  ...(item.annotations ? { annotations: item.annotations } : {}),
+}));
+
+// Returns undefined for read-only types (formula, rollup, created_time...), which are left alone
+const toWritableProperty = (prop) => {
+  if (!prop) return undefined;
+  switch (prop.type) {
+    case 'title': return { title: richText(prop.title) };
+    case 'rich_text': return { rich_text: richText(prop.rich_text) };
+    case 'status': return { status: prop.status ? { name: prop.status.name } : null };
+    case 'select': return { select: prop.select ? { name: prop.select.name } : null };
+    case 'multi_select': return { multi_select: (prop.multi_select || []).map(option => ({ name: option.name })) };
+    case 'people': return { people: (prop.people || []).map(person => ({ id: person.id })) };
+    case 'relation': return { relation: (prop.relation || []).map(page => ({ id: page.id })) };
+    case 'date': return { date: prop.date ? { start: prop.date.start, end: prop.date.end ?? null } : null };
+    case 'checkbox': return { checkbox: Boolean(prop.checkbox) };
+    case 'number': return { number: prop.number ?? null };
+    case 'url': return { url: prop.url ?? null };
+    case 'email': return { email: prop.email ?? null };
+    case 'phone_number': return { phone_number: prop.phone_number ?? null };
+    default: return undefined;
+  }
+};
+
+// Writable copy of `propertyNames` as they are on the page right now
+const snapshotProperties = (page, propertyNames) => {
+  const snapshot = {};
+  propertyNames.forEach(name => {
+    const writable = toWritableProperty(page?.properties?.[name]);
+    if (writable !== undefined) snapshot[name] = writable;
+  });
+  return snapshot;
+};
+
+// Puts the snapshot back and removes blocks the write appended to the page body.
+// Returns the updated page.
+const restorePageSnapshot = async (notion, pageId, snapshot, { appendedBlockIds = [] } = {}) => {
+  const page = await notion.pages.update({ page_id: pageId, properties: snapshot.properties || {} });
+  for (const blockId of appendedBlockIds) {
+    await notion.blocks.delete({ block_id: blockId });
+  }
+  return page;
+};
+
+module.exports = {
+  toWritableProperty,
+  snapshotProperties,
+  restorePageSnapshot
+};
@@ -0,0 +1,57 @@
+// pipelineStatus.js
+// Where a trace is in the pipeline, pieced together from what each stage leaves behind:
+// the orchestrator's PipelineJob, the stored NormalizedTranscript and the review queue.
+//
+// Stages: queued | processing | failed | normalized | review | done | cancelled
+
+const { PipelineJob } = require('@read-ai/shared-config');
+const { NormalizedTranscript } = require('@read-ai/shared-config/TranscriptModel');
+const { proposalQueues } = require('./queueStore');
+
+const JOB_STAGES = { pending: 'queued', processing: 'processing', handed_off: 'processing', dead: 'failed', completed: 'processing' };
+const QUEUE_STAGES = { processing: 'processing', interrupted: 'failed', open: 'review', completed: 'done', cancelled: 'cancelled' };
+
+// Decision counts for a queue (review + auto-applied)
+const queueProgress = (queue) => {
+  const count = (status) => queue.statuses.filter(s => s === status).length;
+  const decided = queue.statuses.length - count('pending');
+  return {
+    review_mode: queue.reviewMode,
+    total: queue.tasks.length,
+    decided,
+    accepted: count('accepted'),
+    skipped: count('skipped'),
+    // Sequential: the card on screen (1-based); batch reviews have no single current card
+    current: queue.reviewMode === 'sequential' && queue.currentIndex < queue.tasks.length ? queue.currentIndex + 1 : null,
+    auto_applied: queue.autoApplied.length,
+    undone: [...queue.autoApplied, ...queue.writes].filter(entry => entry?.status === 'undone').length,
+  };
+};
+
+// Null when nothing is known about the trace
+const getPipelineStatus = async (traceId) => {
+  const [job, transcript, queue] = await Promise.all([
+    PipelineJob.findOne({ trace_id: traceId }, { payload: 0, attempt_log: 0 }).lean(),
+    NormalizedTranscript.findOne({ transcript_id: traceId }, { meeting_title: 1, created_at: 1, 'normalized_data.extracted_entities.projects.project_name': 1 }).lean(),
+    proposalQueues.get(traceId),
+  ]);
+  if (!job && !transcript && !queue) return null;
+
+  const stage = queue ? QUEUE_STAGES[queue.status] : transcript ? 'normalized' : JOB_STAGES[job.status];
+  return {
+    trace_id: traceId,
+    stage,
+    meeting_title: queue?.meetingTitle || transcript?.meeting_title || null,
+    job: job ? { status: job.status, attempts: job.attempts, max_attempts: job.max_attempts, last_error: job.last_error, next_attempt_at: job.next_attempt_at } : null,
+    transcript: transcript ? {
+      created_at: transcript.created_at,
+      projects: (transcript.normalized_data?.extracted_entities?.projects || []).map(p => p.project_name),
+    } : null,
+    queue: queue ? { status: queue.status, updated_at: queue.updatedAt, ...queueProgress(queue) } : null,
+  };
+};
+
+module.exports = {
+  getPipelineStatus,
+  queueProgress
+};
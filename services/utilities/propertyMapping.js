@@ -0,0 +1,218 @@
+// propertyMapping.js
+// Maps canonical task fields to each Notion data source's own property names and types,
+// and checks that mapping against the live data source schema before we write to it.
+//
+// Overrides come from NOTION_PROPERTY_MAPPINGS (JSON) or NOTION_PROPERTY_MAPPINGS_FILE (path to JSON):
+// {
+//   "default": { "notes": { "name": "Description", "type": "rich_text" } },
+//   "<data_source_id>": { "owner": { "name": "Assignee", "type": "rich_text" }, "focus_this_week": null }
+// }
+// `null` unmaps a field for that data source (it is simply not written).
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_MAPPING = {
+  title: { name: "Tasks", type: "title" },
+  status: { name: "Status", type: "status" },
+  linked_jtbd: { name: "Jobs", type: "rich_text" },
+  owner: { name: "Owner", type: "rich_text" },
+  priority: { name: "Priority Level", type: "select" },
+  source: { name: "Source", type: "select" },
+  notes: { name: "Notes", type: "rich_text" },
+  focus_this_week: { name: "Focus This Week", type: "checkbox" },
+  start_date: { name: "Start Date", type: "date" },
+  due_date: { name: "Due Date", type: "date" },
+};
+
+// Fields written in whichever of these forms the live property has: Owner as resolved Notion
+// users on a `people` property, as the owner's name on a text one
+const SCHEMA_TYPED_FIELDS = { owner: ['rich_text', 'people'] };
+
+const SCHEMA_TTL_MS = 10 * 60 * 1000;
+const schemaCache = new Map(); // data_source_id -> { properties, title, fetchedAt }
+
+const loadOverrides = () => {
+  try {
+    if (process.env.NOTION_PROPERTY_MAPPINGS) return JSON.parse(process.env.NOTION_PROPERTY_MAPPINGS);
+    const file = process.env.NOTION_PROPERTY_MAPPINGS_FILE;
+    if (file) return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (err) {
+    logger.warn(`Notion property mapping config is invalid, using defaults: ${err.message}`);
+  }
+  return {};
+};
+
+const overrides = loadOverrides();
+
+// Notion ids show up with and without dashes
+const normalizeId = (id) => String(id || "").replace(/-/g, "").toLowerCase();
+
+const getMapping = (dataSourceId) => {
+  const perSource = Object.entries(overrides).find(([key]) => key !== 'default' && normalizeId(key) === normalizeId(dataSourceId))?.[1] || {};
+  const merged = { ...DEFAULT_MAPPING, ...(overrides.default || {}), ...perSource };
+  return Object.fromEntries(Object.entries(merged).filter(([, prop]) => prop && prop.name));
+};
+
+// Data source ids named in the config, for the startup check
+const configuredDataSourceIds = () => Object.keys(overrides).filter(key => key !== 'default');
+
+// --- SCHEMA ---
+
+const getDataSourceSchema = async (notion, dataSourceId, { refresh = false } = {}) => {
+  const cached = schemaCache.get(dataSourceId);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < SCHEMA_TTL_MS) return cached;
+
+  const dataSource = await notion.dataSources.retrieve({ data_source_id: dataSourceId });
+  const schema = {
+    title: dataSource.title?.map(t => t.plain_text).join("") || dataSourceId,
+    properties: dataSource.properties || {},
+    fetchedAt: Date.now(),
+  };
+  schemaCache.set(dataSourceId, schema);
+  return schema;
+};
+
+// Returns { errors: [], warnings: [] } (strings, one per field)
+const validateMapping = (mapping, schemaProperties) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!mapping.title) errors.push(`No property is mapped to the task title`);
+
+  Object.entries(mapping).forEach(([field, prop]) => {
+    const actual = schemaProperties[prop.name];
+    if (!actual) {
+      errors.push(`${field}: property "${prop.name}" does not exist`);
+    } else if (actual.type !== prop.type) {
+      errors.push(`${field}: property "${prop.name}" is ${actual.type}, mapping expects ${prop.type}`);
+    }
+  });
+
+  const titleProp = Object.entries(schemaProperties).find(([, p]) => p.type === 'title');
+  if (titleProp && mapping.title && mapping.title.name !== titleProp[0]) {
+    warnings.push(`The data source title property is "${titleProp[0]}"`);
+  }
+
+  return { errors, warnings };
+};
+
+// Takes the live type for SCHEMA_TYPED_FIELDS, so both Owner layouts validate
+const adaptToSchema = (mapping, schemaProperties) => Object.fromEntries(Object.entries(mapping).map(([field, prop]) => {
+  const liveType = schemaProperties[prop.name]?.type;
+  return [field, SCHEMA_TYPED_FIELDS[field]?.includes(liveType) ? { ...prop, type: liveType } : prop];
+}));
+
+// Mapping for a data source (adapted to its live schema) plus its validation report
+const getValidatedMapping = async (notion, dataSourceId, options = {}) => {
+  const schema = await getDataSourceSchema(notion, dataSourceId, options);
+  const mapping = adaptToSchema(getMapping(dataSourceId), schema.properties);
+  return { mapping, schemaTitle: schema.title, ...validateMapping(mapping, schema.properties) };
+};
+
+const formatIssues = (report) => `Notion schema mismatch for "${report.schemaTitle}": ${report.errors.join("; ")}`;
+
+// --- WRITE ---
+
+const toPropertyValue = (type, value) => {
+  switch (type) {
+    case 'title': return { title: [{ text: { content: String(value ?? "") } }] };
+    case 'rich_text': return { rich_text: [{ text: { content: String(value ?? "").substring(0, 2000) } }] };
+    case 'select': return value ? { select: { name: String(value) } } : { select: null };
+    case 'status': return value ? { status: { name: String(value) } } : undefined;
+    case 'multi_select': return { multi_select: (Array.isArray(value) ? value : [value]).filter(Boolean).map(name => ({ name: String(name) })) };
+    case 'checkbox': return { checkbox: value === true || value === "Yes" };
+    case 'date': return value ? { date: { start: value } } : undefined;
+    case 'url': return { url: value || null };
+    case 'number': return { number: value === "" || value === undefined || value === null ? null : Number(value) };
+    // Notion user IDs; nothing is written when no owner resolved, so an existing assignee is kept
+    case 'people': return Array.isArray(value) && value.length ? { people: value.map(id => ({ object: "user", id })) } : undefined;
+    default: return undefined;
+  }
+};
+
+// Canonical values from a proposal (same defaults the hardcoded write used)
+const canonicalValues = (task) => ({
+  title: task.title,
+  status: task.status || "To do",
+  linked_jtbd: task.linked_jtbd || "",
+  owner: task.owner || "",
+  priority: task.priority || "Medium",
+  source: "Virtual Meeting",
+  notes: task.notes || "",
+  focus_this_week: task.focus_this_week === "Yes",
+  start_date: task.start_date,
+  due_date: task.due_date,
+});
+
+// Values for fields mapped to a `people` property (see identityDirectory.js)
+const peopleValues = (task) => ({
+  owner: (task.owner_people || []).map(identity => identity.notion_user_id).filter(Boolean),
+});
+
+// Notion `properties` payload for a proposal. `values` overrides individual canonical values.
+const buildNotionProperties = (task, mapping, values = {}) => {
+  const canonical = { ...canonicalValues(task), ...values };
+  const people = peopleValues(task);
+  const properties = {};
+  Object.entries(mapping).forEach(([field, prop]) => {
+    if (!(field in canonical)) return;
+    const value = toPropertyValue(prop.type, prop.type === 'people' ? people[field] : canonical[field]);
+    if (value !== undefined) properties[prop.name] = value;
+  });
+  return properties;
+};
+
+// --- READ ---
+
+const plainText = (prop) => {
+  if (!prop) return "";
+  switch (prop.type) {
+    // plain_text on values read from Notion, text.content on values we built
+    case 'title': return prop.title?.map(t => t.plain_text ?? t.text?.content ?? "").join("") || "";
+    case 'rich_text': return prop.rich_text?.map(t => t.plain_text ?? t.text?.content ?? "").join("") || "";
+    case 'select': return prop.select?.name || "";
+    case 'status': return prop.status?.name || "";
+    case 'multi_select': return prop.multi_select?.map(o => o.name).join(", ") || "";
+    case 'checkbox': return prop.checkbox ? "Yes" : "No";
+    case 'date': return prop.date?.start || "";
+    case 'url': return prop.url || "";
+    case 'number': return prop.number === null || prop.number === undefined ? "" : String(prop.number);
+    case 'people': return prop.people?.map(p => p.name || p.id).join(", ") || "";
+    default: return "";
+  }
+};
+
+// Canonical field -> plain value, read from a Notion page through the mapping
+const readCanonicalValues = (page, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([field, prop]) => [field, plainText(page.properties?.[prop.name])])
+);
+
+// Value to compare a property by: people by user ID (names aren't on built values), the rest as plain text.
+// Works on read (page) and built (buildNotionProperties) values alike.
+const comparableValue = (type, prop) => {
+  if (!prop) return "";
+  if (type === 'people') return (prop.people || []).map(person => person.id).sort().join(",");
+  return plainText({ type, ...prop });
+};
+
+// Canonical field -> comparable value, read from a Notion page through the mapping
+const readComparableValues = (page, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([field, prop]) => [field, comparableValue(prop.type, page.properties?.[prop.name])])
+);
+
+module.exports = {
+  DEFAULT_MAPPING,
+  getMapping,
+  configuredDataSourceIds,
+  getDataSourceSchema,
+  validateMapping,
+  getValidatedMapping,
+  formatIssues,
+  buildNotionProperties,
+  readCanonicalValues,
+  comparableValue,
+  readComparableValues,
+  plainText
+};
@@ -0,0 +1,62 @@
+// proposalDiff.js
+// Field-level comparison of two versions of a task proposal, or of a proposal against the Notion
+// page it would update, for showing "old → new" in Slack.
+
+const { buildNotionProperties, comparableValue, plainText } = require('./propertyMapping');
+
+// Canonical proposal fields, in card order
+const PROPOSAL_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'project', label: 'Project' },
+  { key: 'owner', label: 'Owner' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'focus_this_week', label: 'Focus This Week' },
+  { key: 'start_date', label: 'Start Date' },
+  { key: 'due_date', label: 'Due Date' },
+  { key: 'linked_jtbd', label: 'Linked JTBD' },
+  { key: 'notes', label: 'Notes' },
+];
+
+const asText = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === 'object') return value.name || JSON.stringify(value);
+  return String(value).trim();
+};
+
+// Returns [{ field, label, before, after }] for every field whose value changed
+const diffProposals = (before = {}, after = {}, fields = PROPOSAL_FIELDS) => fields
+  .map(({ key, label }) => ({ field: key, label, before: asText(before[key]), after: asText(after[key]) }))
+  .filter(d => d.before !== d.after);
+
+// UPDATE proposal vs. the live page: [{ field, label, before, after }] for every mapped property
+// the write would change. Fields the write leaves alone (e.g. no resolved owner) are not listed.
+const diffAgainstPage = (task, page, mapping) => {
+  const proposed = buildNotionProperties(task, mapping);
+  return Object.entries(mapping)
+    .filter(([, prop]) => proposed[prop.name] !== undefined)
+    .filter(([, prop]) => comparableValue(prop.type, proposed[prop.name]) !== comparableValue(prop.type, page.properties?.[prop.name]))
+    .map(([field, prop]) => ({
+      field,
+      label: PROPOSAL_FIELDS.find(f => f.key === field)?.label || prop.name,
+      before: plainText(page.properties?.[prop.name]),
+      after: prop.type === 'people'
+        ? (task.owner_people || []).filter(p => p.notion_user_id).map(p => p.display_name || p.name).join(", ")
+        : plainText({ type: prop.type, ...proposed[prop.name] }),
+    }));
+};
+
+// Slack mrkdwn bullet list: "• *Owner:* ~Sam~ → Sara"
+const formatDiffLines = (diffs, maxValueLength = 200) => {
+  const clip = (text) => (text.length > maxValueLength ? `${text.substring(0, maxValueLength)}…` : text);
+  return diffs
+    .map(d => `• *${d.label}:* ${d.before ? `~${clip(d.before)}~` : "_(empty)_"} → ${d.after ? clip(d.after) : "_(empty)_"}`)
+    .join("\n");
+};
+
+module.exports = {
+  PROPOSAL_FIELDS,
+  diffProposals,
+  diffAgainstPage,
+  formatDiffLines
+};
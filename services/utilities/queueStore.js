@@ -0,0 +1,248 @@
+// queueStore.js
+// MongoDB-backed replacement for the in-memory proposalQueues / feedbackSessions Maps,
+// so a restart in the middle of a review can pick up where it stopped.
+
+const { ProposalQueue, FeedbackSession } = require('@read-ai/shared-config');
+
+// Converts the stored document into the shape sendNextProposal works with
+const toQueue = (doc) => {
+  if (!doc) return null;
+  return {
+    traceId: doc.trace_id,
+    tasks: doc.proposals.map(p => p.task),
+    statuses: doc.proposals.map(p => p.status),
+    writes: doc.proposals.map(p => p.write || null),
+    createdPageIds: doc.proposals.map(p => p.created_page_id || null),
+    currentIndex: doc.current_index,
+    meetingTitle: doc.meeting_title,
+    targetDbId: doc.target_db_id,
+    status: doc.status,
+    reviewMode: doc.review_mode || 'sequential',
+    digest: doc.digest_ts ? { channel: doc.digest_channel, ts: doc.digest_ts } : null,
+    autoApplied: doc.auto_applied || [],
+    autoSummary: doc.auto_summary_ts ? { channel: doc.auto_summary_channel, ts: doc.auto_summary_ts } : null,
+    updatedAt: doc.updatedAt
+  };
+};
+
+const proposalQueues = {
+  // Claims a trace for a pipeline run: inserts a "processing" queue unless the trace already has one,
+  // or takes over an "interrupted" one (its auto-applied items included).
+  // Returns { queue, claimed }; any other existing queue is left as it is.
+  begin: async (traceId, { meetingTitle, targetDbId }) => {
+    const interrupted = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'interrupted' },
+      { $set: { status: 'processing' } },
+      { new: true }
+    ).lean();
+    if (interrupted) return { queue: toQueue(interrupted), claimed: true };
+
+    const result = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId },
+      {
+        $setOnInsert: {
+          trace_id: traceId,
+          meeting_title: meetingTitle,
+          target_db_id: targetDbId,
+          status: 'processing',
+          proposals: [],
+          auto_applied: []
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    ).lean();
+    return { queue: toQueue(result.value), claimed: !result.lastErrorObject?.updatedExisting };
+  },
+
+  // Records an auto-applied write as soon as it is made, so a run that fails later doesn't lose it
+  addAutoApplied: async (traceId, entry) => {
+    await ProposalQueue.updateOne({ trace_id: traceId, status: 'processing' }, { $push: { auto_applied: entry } });
+  },
+
+  // Hands the claimed queue over to review (the auto-applied items are already in). Null if the trace isn't "processing".
+  open: async (traceId, { tasks, reviewMode = 'sequential' }) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'processing' },
+      {
+        $set: {
+          current_index: 0,
+          status: 'open',
+          review_mode: reviewMode,
+          proposals: tasks.map(task => ({ task, status: 'pending' }))
+        }
+      },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // A failed run gives the trace back, so the next handoff starts over. Writes it already
+  // auto-applied stay recorded ("interrupted"), so the next run doesn't make them twice.
+  release: async (traceId) => {
+    await ProposalQueue.deleteOne({ trace_id: traceId, status: 'processing', 'auto_applied.0': { $exists: false } });
+    await ProposalQueue.updateOne({ trace_id: traceId, status: 'processing' }, { $set: { status: 'interrupted' } });
+  },
+
+  get: async (traceId) => {
+    const doc = await ProposalQueue.findOne({ trace_id: traceId }).lean();
+    return toQueue(doc);
+  },
+
+  // Records the decision for `index` and moves the pointer forward.
+  // Only succeeds if `index` is still the current card, so a double click
+  // or a click on a stale card cannot advance the queue twice.
+  advance: async (traceId, index, outcome) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open', current_index: index },
+      {
+        $set: {
+          [`proposals.${index}.status`]: outcome,
+          [`proposals.${index}.decided_at`]: new Date()
+        },
+        $inc: { current_index: 1 }
+      },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Moves the pointer from `from` to `to` (past proposals already decided); null if it moved meanwhile
+  moveTo: async (traceId, from, to) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open', current_index: from },
+      { $set: { current_index: to } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Batch -> sequential, when the digest no longer fits one message. The pointer restarts at 0
+  // and sendNextProposal passes over what the digest already decided.
+  switchToSequential: async (traceId) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open', review_mode: 'batch' },
+      { $set: { review_mode: 'sequential', current_index: 0 } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Moves a single proposal regardless of the pointer, only if it is still in `from`
+  // (so two "Apply selected" or Accept clicks can't both claim it). Null if it wasn't.
+  setProposalStatus: async (traceId, index, outcome, { from = 'pending' } = {}) => {
+    const decided = outcome === 'accepted' || outcome === 'skipped';
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open', [`proposals.${index}.status`]: from },
+      {
+        $set: {
+          [`proposals.${index}.status`]: outcome,
+          [`proposals.${index}.decided_at`]: decided ? new Date() : null
+        }
+      },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Batch mode: remembers the digest message so it can be refreshed in place
+  setDigest: async (traceId, { channel, ts }) => {
+    await ProposalQueue.updateOne({ trace_id: traceId }, { $set: { digest_channel: channel, digest_ts: ts } });
+  },
+
+  // Auto-apply summary message, refreshed in place when an item is undone
+  setAutoSummary: async (traceId, { channel, ts }) => {
+    await ProposalQueue.updateOne({ trace_id: traceId }, { $set: { auto_summary_channel: channel, auto_summary_ts: ts } });
+  },
+
+  // Moves an auto-applied item from one status to another; null if it wasn't in `from`
+  // (so two Undo clicks can't both run)
+  setAutoAppliedStatus: async (traceId, index, from, to) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, [`auto_applied.${index}.status`]: from },
+      { $set: { [`auto_applied.${index}.status`]: to, [`auto_applied.${index}.undone_at`]: to === 'undone' ? new Date() : null } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Keeps what an Accept wrote to Notion (page, snapshot) for Undo
+  recordWrite: async (traceId, index, write) => {
+    await ProposalQueue.updateOne({ trace_id: traceId }, { $set: { [`proposals.${index}.write`]: { ...write, status: 'applied', applied_at: new Date() } } });
+  },
+
+  // The page a CREATE made, recorded before anything else can fail
+  recordCreatedPage: async (traceId, index, pageId) => {
+    await ProposalQueue.updateOne({ trace_id: traceId }, { $set: { [`proposals.${index}.created_page_id`]: pageId } });
+  },
+
+  // Same guarded transition as setAutoAppliedStatus, for an accepted proposal's write
+  setWriteStatus: async (traceId, index, from, to) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, [`proposals.${index}.write.status`]: from },
+      { $set: { [`proposals.${index}.write.status`]: to, [`proposals.${index}.write.undone_at`]: to === 'undone' ? new Date() : null } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Swaps in a refined version of the proposal at `index` (Feedback loop)
+  replaceTask: async (traceId, index, task) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open' },
+      { $set: { [`proposals.${index}.task`]: task } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Inserts extra proposals (e.g. an AI split) at `position`, ahead of the rest of the queue
+  insertTasks: async (traceId, position, tasks) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open' },
+      { $push: { proposals: { $each: tasks.map(task => ({ task, status: 'pending' })), $position: position } } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  complete: async (traceId) => {
+    await ProposalQueue.updateOne({ trace_id: traceId }, { $set: { status: 'completed' } });
+  },
+
+  // Drops an open queue: its cards stop working, nothing more is sent. Null if it wasn't open.
+  cancel: async (traceId) => {
+    const doc = await ProposalQueue.findOneAndUpdate(
+      { trace_id: traceId, status: 'open' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    ).lean();
+    return toQueue(doc);
+  },
+
+  // Open queues, most recently active first
+  listOpen: async ({ limit = 20 } = {}) => {
+    const docs = await ProposalQueue.find({ status: 'open' }).sort({ updatedAt: -1 }).limit(limit).lean();
+    return docs.map(toQueue);
+  }
+};
+
+const feedbackSessions = {
+  set: async (sessionId, { task, iteration, traceId }) => {
+    await FeedbackSession.create({ session_id: sessionId, task, iteration, trace_id: traceId });
+  },
+
+  get: async (sessionId) => {
+    const doc = await FeedbackSession.findOne({ session_id: sessionId }).lean();
+    if (!doc) return null;
+    return { task: doc.task, iteration: doc.iteration, traceId: doc.trace_id };
+  },
+
+  delete: async (sessionId) => {
+    await FeedbackSession.deleteOne({ session_id: sessionId });
+  }
+};
+
+module.exports = {
+  proposalQueues,
+  feedbackSessions
+};
@@ -0,0 +1,150 @@
+// rateLimitedFetch.js
+// fetch() wrapper for upstream APIs (Notion, LLM): a token bucket per upstream, a timeout per
+// attempt, and retries with jittered exponential backoff on 429 / 5xx / network errors.
+// A Retry-After header from the upstream wins over the computed backoff.
+// Writes that may already have been applied when they time out or get a 5xx are only retried
+// when the upstream surely didn't act on them: 429 or connection refused. Which requests are
+// such writes is up to the caller (`isWrite`); Notion's are listed in NOTION_WRITES. Reads sent
+// as POST (Notion queries and search, LLM completions) keep the full retries.
+//
+// Per upstream settings (NAME = NOTION | LLM):
+//   <NAME>_RATE_LIMIT_PER_SEC, <NAME>_RATE_LIMIT_BURST, <NAME>_TIMEOUT_MS, <NAME>_MAX_RETRIES
+
+const logger = require('./logger');
+
+const DEFAULTS = {
+  notion: { ratePerSec: 3, burst: 3, timeoutMs: 30000, maxRetries: 4 },   // Notion averages 3 requests/s
+  llm: { ratePerSec: 2, burst: 4, timeoutMs: 120000, maxRetries: 3 },
+};
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 60000;
+const RETRYABLE_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+
+// Notion calls that must not run twice: pages.create, pages.update, blocks.children.append
+const NOTION_WRITES = [
+  { method: 'POST', path: /^\/v1\/pages\/?$/ },
+  { method: 'PATCH', path: /^\/v1\/pages\/[^/]+\/?$/ },
+  { method: 'PATCH', path: /^\/v1\/blocks\/[^/]+\/children\/?$/ },
+];
+const isNotionWrite = (url, init = {}) => {
+  const method = String(init.method || 'GET').toUpperCase();
+  const path = new URL(String(url), 'https://api.notion.com').pathname;
+  return NOTION_WRITES.some(write => write.method === method && write.path.test(path));
+};
+const WRITE_MATCHERS = { notion: isNotionWrite };
+
+// fetch() reports network failures as a TypeError with the socket error as its cause
+const isConnectionRefused = (err) => (err?.cause?.code || err?.code) === 'ECONNREFUSED';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Requests wait in line for a token; tokens refill at `ratePerSec` up to `burst`
+const createTokenBucket = ({ ratePerSec, burst }) => {
+  let tokens = burst;
+  let last = Date.now();
+  let line = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+    last = now;
+  };
+
+  const take = () => {
+    line = line.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / ratePerSec) * 1000);
+        refill();
+      }
+      tokens -= 1;
+    });
+    return line;
+  };
+
+  return { take };
+};
+
+// Seconds ("3") or an HTTP date; null when absent or unparseable
+const parseRetryAfter = (headers) => {
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : null;
+};
+
+// Full jitter: anywhere between 0 and the exponential ceiling
+const backoffDelay = (attempt) => Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+
+const upstreamConfig = (upstream, overrides = {}) => {
+  const env = (name) => {
+    const value = process.env[`${upstream.toUpperCase()}_${name}`];
+    return value === undefined || value === "" || !Number.isFinite(Number(value)) ? undefined : Number(value);
+  };
+  const defaults = DEFAULTS[upstream] || DEFAULTS.llm;
+  return {
+    ratePerSec: overrides.ratePerSec ?? env('RATE_LIMIT_PER_SEC') ?? defaults.ratePerSec,
+    burst: overrides.burst ?? env('RATE_LIMIT_BURST') ?? defaults.burst,
+    timeoutMs: overrides.timeoutMs ?? env('TIMEOUT_MS') ?? defaults.timeoutMs,
+    maxRetries: overrides.maxRetries ?? env('MAX_RETRIES') ?? defaults.maxRetries,
+  };
+};
+
+// Worst case for one call (every attempt times out, every backoff at its cap): for SDK-level timeouts
+const totalBudgetMs = ({ timeoutMs, maxRetries }) => timeoutMs * (maxRetries + 1) + MAX_DELAY_MS * maxRetries;
+
+const buckets = new Map(); // One bucket per upstream, shared by every client of it
+
+// Returns a fetch-compatible function. A retryable status on the last attempt is returned
+// as-is, so the caller's own error handling still sees the upstream response.
+const createRateLimitedFetch = (upstream, overrides = {}) => {
+  const config = upstreamConfig(upstream, overrides);
+  if (!buckets.has(upstream)) buckets.set(upstream, createTokenBucket(config));
+  const bucket = buckets.get(upstream);
+  const fetchImpl = overrides.fetchImpl || fetch;
+  const isWrite = overrides.isWrite || WRITE_MATCHERS[upstream] || (() => false);
+
+  const limitedFetch = async (url, init = {}) => {
+    const idempotent = !isWrite(url, init);
+    for (let attempt = 0; ; attempt++) {
+      await bucket.take();
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+      try {
+        const response = await fetchImpl(url, { ...init, signal: controller.signal });
+        const retryable = idempotent ? RETRYABLE_STATUS(response.status) : response.status === 429;
+        if (!retryable || attempt >= config.maxRetries) return response;
+
+        const delay = parseRetryAfter(response.headers) ?? backoffDelay(attempt);
+        await response.body?.cancel?.().catch(() => {}); // Release the connection before waiting
+        logger.warn(`[${upstream}] ${response.status} from upstream, retry ${attempt + 1}/${config.maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      } catch (err) {
+        const reason = controller.signal.aborted ? `timed out after ${config.timeoutMs}ms` : err.message;
+        if (attempt >= config.maxRetries || (!idempotent && !isConnectionRefused(err))) {
+          const error = new Error(`${upstream} request failed after ${attempt + 1} attempt(s): ${reason}`);
+          error.code = controller.signal.aborted ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE';
+          throw error;
+        }
+        const delay = backoffDelay(attempt);
+        logger.warn(`[${upstream}] Request ${reason}, retry ${attempt + 1}/${config.maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+
+  limitedFetch.config = config;
+  return limitedFetch;
+};
+
+module.exports = {
+  createRateLimitedFetch,
+  createTokenBucket,
+  isNotionWrite,
+  parseRetryAfter,
+  totalBudgetMs
+};
@@ -0,0 +1,91 @@
+// requestAuth.js
+// Verifies that inbound requests really come from Slack / Read AI before we act on them.
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Slack rejects anything older than 5 minutes; we do the same to stop replays
+const SLACK_MAX_AGE_SECONDS = 60 * 5;
+
+// Pass as `verify` to express.json / express.urlencoded so signatures can be checked
+// against the exact bytes that were sent.
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// Constant-time string comparison (timingSafeEqual throws on length mismatch)
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a || "", 'utf8');
+  const bufB = Buffer.from(b || "", 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const hmacHex = (secret, content) => crypto.createHmac('sha256', secret).update(content).digest('hex');
+
+// Gives every request a trace ID up front so rejections can be traced like everything else
+const assignTraceId = (req, res, next) => {
+  req.traceId = req.traceId || crypto.randomUUID();
+  next();
+};
+
+const reject = (req, res, reason) => {
+  logger.warn(`Rejected request to ${req.originalUrl}: ${reason}`, { traceId: req.traceId });
+  return res.status(401).send({ error: "Unauthorized" });
+};
+
+// --- SLACK: v0 signing secret (https://api.slack.com/authentication/verifying-requests-from-slack) ---
+const verifySlackRequest = (signingSecret) => (req, res, next) => {
+  if (!signingSecret) return reject(req, res, "SLACK_SIGNING_SECRET is not configured");
+
+  const timestamp = req.get('X-Slack-Request-Timestamp');
+  const signature = req.get('X-Slack-Signature');
+  if (!timestamp || !signature || !req.rawBody) return reject(req, res, "Missing Slack signature headers");
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > SLACK_MAX_AGE_SECONDS) return reject(req, res, "Stale Slack timestamp (possible replay)");
+
+  const expected = `v0=${hmacHex(signingSecret, `v0:${timestamp}:${req.rawBody.toString('utf8')}`)}`;
+  if (!safeEqual(expected, signature)) return reject(req, res, "Invalid Slack signature");
+
+  next();
+};
+
+// --- WEBHOOKS / UPLOADS: shared secret or HMAC ---
+// mode "token": secret sent as `X-Webhook-Token` header or `?token=` query param
+// mode "hmac":  `X-Webhook-Signature: sha256=<hex>` over the raw body of JSON requests. Requests
+//               without a JSON body (multipart uploads, GETs) have no raw body to sign and use the token.
+// No secret configured = every request is rejected, unless ALLOW_UNAUTHENTICATED=true opens the
+// endpoints on purpose (local development). Either way it is logged once at startup.
+const verifyWebhookRequest = ({ secret, mode = 'token', allowUnauthenticated = process.env.ALLOW_UNAUTHENTICATED === 'true' }) => {
+  if (!secret) {
+    if (allowUnauthenticated) {
+      logger.warn("WEBHOOK_SECRET is not set and ALLOW_UNAUTHENTICATED=true: API, webhook and upload endpoints accept unauthenticated requests.");
+      return (req, res, next) => next();
+    }
+    logger.error("WEBHOOK_SECRET is not set: API, webhook and upload endpoints reject every request (set ALLOW_UNAUTHENTICATED=true to open them).");
+    return (req, res) => reject(req, res, "WEBHOOK_SECRET is not configured");
+  }
+
+  return (req, res, next) => {
+    if (mode === 'hmac' && req.is('application/json')) {
+      if (!req.rawBody) return reject(req, res, "No raw body to check the webhook signature against");
+      const signature = (req.get('X-Webhook-Signature') || "").replace(/^sha256=/, "");
+      if (!signature) return reject(req, res, "Missing webhook signature");
+      if (!safeEqual(hmacHex(secret, req.rawBody), signature)) return reject(req, res, "Invalid webhook signature");
+      return next();
+    }
+
+    if (mode === 'hmac') logger.info(`No JSON body on ${req.method} ${req.originalUrl}: checking the webhook token instead of a signature`, { traceId: req.traceId });
+    const token = req.get('X-Webhook-Token') || req.query.token;
+    if (!token) return reject(req, res, "Missing webhook token");
+    if (!safeEqual(secret, token)) return reject(req, res, "Invalid webhook token");
+    next();
+  };
+};
+
+module.exports = {
+  assignTraceId,
+  captureRawBody,
+  verifySlackRequest,
+  verifyWebhookRequest
+};
@@ -0,0 +1,41 @@
+// reviewMode.js
+// Chooses how a queue is reviewed in Slack:
+//   "sequential" - one card at a time (sendNextProposal)
+//   "batch"      - one digest card with checkboxes and "Apply selected"
+//
+// REVIEW_MODE_DEFAULT    = "sequential" | "batch"
+// REVIEW_MODE_BY_SOURCE  = JSON, e.g. {"read_ai": "batch"}
+// REVIEW_MODE_BY_PROJECT = JSON, e.g. {"Ridge Oak": "batch"} (keys are case-insensitive)
+
+const logger = require('./logger');
+
+const REVIEW_MODES = ['sequential', 'batch'];
+
+const parseModeMap = (envName) => {
+  const raw = process.env[envName];
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(parsed).map(([key, mode]) => [key.trim().toLowerCase(), mode]));
+  } catch (err) {
+    logger.warn(`${envName} is not valid JSON. Ignoring it.`);
+    return {};
+  }
+};
+
+// Project rules win when every project in the queue agrees; otherwise the source rule, then the default.
+const resolveReviewMode = ({ source, projects = [] }) => {
+  const byProject = parseModeMap('REVIEW_MODE_BY_PROJECT');
+  const bySource = parseModeMap('REVIEW_MODE_BY_SOURCE');
+
+  const projectModes = [...new Set(projects.map(p => byProject[String(p || "").trim().toLowerCase()]))];
+  let mode = projectModes.length === 1 && projectModes[0] ? projectModes[0] : null;
+  if (!mode) mode = bySource[String(source || "").toLowerCase()] || process.env.REVIEW_MODE_DEFAULT || 'sequential';
+
+  return REVIEW_MODES.includes(mode) ? mode : 'sequential';
+};
+
+module.exports = {
+  resolveReviewMode,
+  REVIEW_MODES
+};
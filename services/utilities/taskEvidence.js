@@ -0,0 +1,112 @@
+// taskEvidence.js
+// Why a task was proposed: the transcript quotes the model cites for it, located in the
+// meeting's speaker blocks so each quote carries its speaker and timestamp.
+// Shown on the Slack card and written to the Notion page body (meeting log) on Accept.
+
+const { splitSpeakerBlocks } = require('./transcriptChunker');
+
+const MAX_QUOTES_PER_TASK = 3;
+const MAX_QUOTE_CHARS = 300;
+const MIN_WORD_OVERLAP = 0.6;    // Share of the quote's words a block must contain for an approximate match
+const EPOCH_THRESHOLD = 1e11;    // Larger start times are epoch ms (Read AI), smaller ones recording offsets
+
+const normalizeText = (text) => String(text || "").toLowerCase().replace(/[^a-z0-9\s]+/g, " ").replace(/\s+/g, " ").trim();
+
+// Speaker blocks for transcripts that arrived as plain text (no timing)
+const blocksFromText = (transcript) => splitSpeakerBlocks(transcript).map(block => {
+  const match = block.match(/^([^:\n]{1,60}):\s+([\s\S]*)$/);
+  return {
+    speaker: { name: match ? match[1].trim() : "Unknown" },
+    words: (match ? match[2] : block).replace(/\s+/g, " ").trim(),
+    start_time: null,
+    end_time: null,
+  };
+});
+
+// Block holding the quote: verbatim (ignoring case and punctuation) first, else the best word overlap
+const locateQuote = (quote, blocks) => {
+  const target = normalizeText(quote);
+  if (!target) return null;
+
+  const exact = blocks.findIndex(block => normalizeText(block.words).includes(target));
+  if (exact !== -1) return { index: exact, match: 'exact' };
+
+  const words = [...new Set(target.split(" ").filter(word => word.length > 2))];
+  if (words.length === 0) return null;
+  let best = { index: -1, score: 0 };
+  blocks.forEach((block, index) => {
+    const blockWords = new Set(normalizeText(block.words).split(" "));
+    const score = words.filter(word => blockWords.has(word)).length / words.length;
+    if (score > best.score) best = { index, score };
+  });
+  return best.score >= MIN_WORD_OVERLAP ? { index: best.index, match: 'approximate' } : null;
+};
+
+const meetingStart = (blocks) => {
+  const first = blocks.find(block => Number.isFinite(block.start_time));
+  return first && first.start_time > EPOCH_THRESHOLD ? first.start_time : 0;
+};
+
+// Model output ([{ quote, speaker }] or plain strings) -> [{ quote, speaker, start_time, end_time, offset_ms, block_index, match }]
+// match: "exact" | "approximate" | "unverified" (the quote wasn't found in the transcript)
+const locateEvidence = (evidence, blocks = []) => {
+  const base = meetingStart(blocks);
+  return (Array.isArray(evidence) ? evidence : [])
+    .map(item => {
+      const quote = String(typeof item === 'string' ? item : item?.quote || "").replace(/\s+/g, " ").trim();
+      if (!quote) return null;
+      const found = locateQuote(quote, blocks);
+      const block = found ? blocks[found.index] : null;
+      return {
+        quote: quote.length > MAX_QUOTE_CHARS ? `${quote.substring(0, MAX_QUOTE_CHARS)}…` : quote,
+        speaker: block?.speaker?.name || item?.speaker || null,
+        start_time: block?.start_time ?? null,
+        end_time: block?.end_time ?? null,
+        offset_ms: Number.isFinite(block?.start_time) ? block.start_time - base : null,
+        block_index: found ? found.index : null,
+        match: found ? found.match : 'unverified',
+      };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_QUOTES_PER_TASK);
+};
+
+// 754000 -> "12:34", 3754000 -> "1:02:34"
+const formatOffset = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// "Sara · 12:34"
+const attribution = (item) => [item.speaker || "Unknown", Number.isFinite(item.offset_ms) ? formatOffset(item.offset_ms) : null]
+  .filter(Boolean)
+  .join(" · ");
+
+// Slack mrkdwn quote lines
+const formatEvidenceForSlack = (evidence = []) => evidence
+  .map(item => `> “${item.quote}”\n> — ${attribution(item)}${item.match === 'unverified' ? " _(not found in transcript)_" : ""}`)
+  .join("\n");
+
+// Notion quote blocks for the page body, one per piece of evidence (see meetingLog.js)
+const evidenceQuoteBlocks = (evidence = []) => evidence.map(item => ({
+  object: "block",
+  type: "quote",
+  quote: {
+    rich_text: [
+      { type: "text", text: { content: item.quote } },
+      { type: "text", text: { content: `\n— ${attribution(item)}` }, annotations: { italic: true } }
+    ]
+  }
+}));
+
+module.exports = {
+  blocksFromText,
+  locateEvidence,
+  formatOffset,
+  formatEvidenceForSlack,
+  evidenceQuoteBlocks,
+  meetingStart
+};
@@ -0,0 +1,210 @@
+// transcriptChunker.js
+// Map-reduce helpers for long transcripts: split on speaker-block boundaries (with overlap),
+// blocks longer than a chunk on line / sentence boundaries, then merge the per-chunk extractions back into one extracted_entities structure.
+
+const DEFAULT_MAX_CHARS = 24000;
+const DEFAULT_OVERLAP_BLOCKS = 2;
+
+// "Name: words" starts a new speaker block; anything else continues the previous one
+const SPEAKER_LINE = /^[^:\n]{1,60}:\s/;
+
+const splitSpeakerBlocks = (transcript) => {
+  const blocks = [];
+  for (const line of (transcript || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (blocks.length === 0 || SPEAKER_LINE.test(line)) {
+      blocks.push(line);
+    } else {
+      blocks[blocks.length - 1] += `\n${line}`;
+    }
+  }
+  return blocks;
+};
+
+// Pieces of at most `maxChars`: whole lines where they fit, else sentences, else hard cuts
+const splitText = (text, maxChars, separator) => {
+  const units = separator === "\n" ? text.split("\n") : text.split(/(?<=[.!?])\s+/);
+  const pieces = [];
+  let current = "";
+  for (const unit of units) {
+    if (unit.length > maxChars) {
+      if (current) pieces.push(current);
+      current = "";
+      if (separator === "\n") pieces.push(...splitText(unit, maxChars, " "));
+      else for (let i = 0; i < unit.length; i += maxChars) pieces.push(unit.substring(i, i + maxChars));
+    } else if (!current) {
+      current = unit;
+    } else if (current.length + separator.length + unit.length <= maxChars) {
+      current += separator + unit;
+    } else {
+      pieces.push(current);
+      current = unit;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// A block over `maxChars` (a long monologue, or a transcript without speaker labels) becomes
+// several; continuations keep the speaker's "Name: " so each piece still says who is talking
+const splitOversizedBlock = (block, maxChars) => {
+  if (block.length <= maxChars) return [block];
+  const label = block.match(SPEAKER_LINE)?.[0] || "";
+  const budget = label && label.length < maxChars / 2 ? maxChars - label.length : maxChars;
+  const body = budget === maxChars ? block : block.substring(label.length);
+  return splitText(body, budget, "\n").map(piece => (budget === maxChars ? piece : label + piece));
+};
+
+// Whole number of blocks >= 0; anything else (unset, "abc", -1) is the default
+const parseOverlapBlocks = (value) => {
+  const blocks = Number(value);
+  return value !== undefined && value !== null && value !== "" && Number.isInteger(blocks) && blocks >= 0 ? blocks : DEFAULT_OVERLAP_BLOCKS;
+};
+
+// Groups speaker blocks into chunks of at most `maxChars` (oversized blocks are split first).
+// Each chunk after the first repeats the last `overlapBlocks` blocks of the previous one, so tasks
+// discussed across a boundary are seen whole at least once.
+const chunkTranscript = (transcript, { maxChars = DEFAULT_MAX_CHARS, overlapBlocks = DEFAULT_OVERLAP_BLOCKS } = {}) => {
+  maxChars = Number.isFinite(Number(maxChars)) && Number(maxChars) > 0 ? Math.floor(Number(maxChars)) : DEFAULT_MAX_CHARS;
+  const blocks = splitSpeakerBlocks(transcript).flatMap(block => splitOversizedBlock(block, maxChars));
+  overlapBlocks = parseOverlapBlocks(overlapBlocks);
+  const chunks = [];
+  let start = 0;
+
+  while (start < blocks.length) {
+    let end = start;
+    let size = 0;
+    while (end < blocks.length && (end === start || size + blocks[end].length + 1 <= maxChars)) {
+      size += blocks[end].length + 1;
+      end++;
+    }
+
+    chunks.push({
+      index: chunks.length,
+      start_block: start,
+      end_block: end - 1,
+      text: blocks.slice(start, end).join("\n"),
+    });
+
+    if (end >= blocks.length) break;
+    // Step back for overlap, but always make progress
+    start = Math.max(end - overlapBlocks, start + 1);
+  }
+
+  // Every chunk has to fit the model's context; one that doesn't is a bug here, not bad input
+  const oversized = chunks.find(chunk => chunk.text.length > maxChars);
+  if (oversized) {
+    const error = new Error(`Chunk ${oversized.index + 1} has ${oversized.text.length} chars (limit ${maxChars})`);
+    error.code = 'CHUNK_TOO_LARGE';
+    throw error;
+  }
+  return chunks;
+};
+
+// --- MERGE (REDUCE) ---
+
+const normalizeKey = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const uniqueStrings = (lists) => {
+  const seen = new Map();
+  lists.flat().filter(v => typeof v === 'string' && v.trim()).forEach(v => {
+    const key = normalizeKey(v);
+    if (!seen.has(key)) seen.set(key, v.trim());
+  });
+  return [...seen.values()];
+};
+
+// Same task seen in two overlapping chunks: keep the richer version, fill gaps from the other
+const mergeTask = (existing, incoming) => {
+  const base = (incoming.notes || "").length > (existing.notes || "").length ? incoming : existing;
+  const other = base === existing ? incoming : existing;
+  const merged = { ...base };
+  Object.keys(other).forEach(key => {
+    if (merged[key] === undefined || merged[key] === null || merged[key] === "") merged[key] = other[key];
+  });
+  merged.source_chunks = [...new Set([...(existing.source_chunks || []), ...(incoming.source_chunks || [])])];
+  // Quotes from both chunks (the overlap repeats some of them)
+  const quotes = new Map();
+  [...(existing.evidence || []), ...(incoming.evidence || [])].forEach(item => {
+    const key = normalizeKey(typeof item === 'string' ? item : item?.quote);
+    if (key && !quotes.has(key)) quotes.set(key, item);
+  });
+  if (quotes.size) merged.evidence = [...quotes.values()];
+  return merged;
+};
+
+// results: [{ chunk, normalized }] in chunk order
+const mergeNormalizedChunks = (results) => {
+  const projects = new Map();
+
+  results.forEach(({ chunk, normalized }) => {
+    (normalized.extracted_entities?.projects || []).forEach(project => {
+      const name = project.project_name?.trim() || "Unknown";
+      const projectKey = normalizeKey(name);
+      if (!projects.has(projectKey)) {
+        projects.set(projectKey, { project_name: name, tasks: new Map(), associated_decisions: [] });
+      }
+      const target = projects.get(projectKey);
+      target.associated_decisions.push(...(project.associated_decisions || []));
+
+      (project.tasks || []).forEach(task => {
+        const taskKey = normalizeKey(task.task_title);
+        const tagged = { ...task, source_chunks: [chunk.index] };
+        target.tasks.set(taskKey, target.tasks.has(taskKey) ? mergeTask(target.tasks.get(taskKey), tagged) : tagged);
+      });
+    });
+  });
+
+  const mergedProjects = [...projects.values()].map(p => ({
+    project_name: p.project_name,
+    tasks: [...p.tasks.values()],
+    associated_decisions: uniqueStrings([p.associated_decisions]),
+  }));
+
+  const entities = results.map(r => r.normalized.extracted_entities || {});
+  const decisions = uniqueStrings(entities.map(e => e.decisions || []));
+
+  const participants = new Map();
+  results.flatMap(r => r.normalized.participants || []).forEach(p => {
+    const key = normalizeKey(p?.email || p?.name);
+    if (key && !participants.has(key)) participants.set(key, p);
+  });
+
+  const confidences = results
+    .map(r => Number(r.normalized.quality_metrics?.normalization_confidence))
+    .filter(Number.isFinite);
+
+  const first = results[0]?.normalized || {};
+
+  return {
+    ...first,
+    participants: [...participants.values()],
+    summary: {
+      ...(first.summary || {}),
+      key_points: uniqueStrings(results.map(r => r.normalized.summary?.key_points || [])),
+      action_items_count: mergedProjects.reduce((sum, p) => sum + p.tasks.length, 0),
+      decisions_count: decisions.length,
+    },
+    extracted_entities: {
+      dates: uniqueStrings(entities.map(e => e.dates || [])),
+      people: uniqueStrings(entities.map(e => e.people || [])),
+      decisions,
+      projects: mergedProjects,
+    },
+    quality_metrics: {
+      ...(first.quality_metrics || {}),
+      normalization_confidence: confidences.length
+        ? confidences.reduce((a, b) => a + b, 0) / confidences.length
+        : first.quality_metrics?.normalization_confidence,
+    },
+  };
+};
+
+module.exports = {
+  splitSpeakerBlocks,
+  chunkTranscript,
+  mergeNormalizedChunks,
+  DEFAULT_MAX_CHARS,
+  DEFAULT_OVERLAP_BLOCKS,
+  parseOverlapBlocks
+};
@@ -0,0 +1,244 @@
+// transcriptParsers.js
+// Upload parsers, chosen by content sniffing first and file extension second.
+// Every format ends up as the structure the Read AI webhook delivers:
+//   speaker_blocks: [{ speaker: { name }, words, start_time, end_time }]   (times in ms, null when unknown)
+//   participants:   [{ name, email }]
+// plus the flat "Name: words" transcript the pipeline normalizes.
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+
+const MAX_BLOCK_CHARS = 2000; // Consecutive cues of one speaker are merged up to this size
+
+// --- TIME ---
+
+// "01:02:03.456", "01:02:03,456", "02:03", "00:00:01.2345678" (Teams) -> milliseconds
+const parseClock = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d+))?$/);
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, fraction = "0"] = match;
+  const millis = Math.round(Number(`0.${fraction}`) * 1000);
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + millis;
+};
+
+// --- SPEAKER BLOCKS ---
+
+// "Name: words" -> { speaker, words } (same rule as the chunker's speaker lines)
+const SPEAKER_LINE = /^([^:\n]{1,60}):\s+(.*)$/;
+const parseSpeakerLine = (line) => {
+  const match = line.match(SPEAKER_LINE);
+  return match ? { speaker: match[1].trim(), words: match[2].trim() } : { speaker: null, words: line.trim() };
+};
+
+// cues: [{ speaker, words, start_time, end_time }] -> speaker blocks, consecutive cues of one speaker merged.
+// A cue without a speaker continues the previous speaker.
+const mergeCues = (cues) => {
+  const blocks = [];
+  for (const cue of cues) {
+    const words = String(cue.words || "").replace(/\s+/g, " ").trim();
+    if (!words) continue;
+    const last = blocks[blocks.length - 1];
+    const speaker = cue.speaker || last?.speaker.name || "Unknown";
+    if (last && last.speaker.name === speaker && last.words.length + words.length < MAX_BLOCK_CHARS) {
+      last.words += ` ${words}`;
+      last.end_time = cue.end_time ?? last.end_time;
+    } else {
+      blocks.push({ speaker: { name: speaker }, words, start_time: cue.start_time ?? null, end_time: cue.end_time ?? null });
+    }
+  }
+  return blocks;
+};
+
+const formatSpeakerBlocks = (blocks) => blocks
+  .map(block => `${block.speaker?.name || "Unknown"}: ${block.words}`)
+  .join("\n");
+
+// Speakers as participants, for formats that don't list attendees separately
+const participantsFromBlocks = (blocks) => [...new Set(blocks.map(b => b.speaker?.name).filter(name => name && name !== "Unknown"))]
+  .map(name => ({ name, email: null }));
+
+// --- TEXT FORMATS ---
+
+// Plain text / DOCX / PDF: "Name: words" lines, optionally prefixed with "[00:01:02]" or "00:01:02".
+// Text without any speaker prefix is passed to the model as it is (`transcript`); its blocks
+// are only used to locate evidence quotes.
+const LEADING_TIME = /^\[?(\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?)\]?\s+/;
+const parsePlainText = (text) => {
+  const cues = [];
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line) continue;
+    const time = line.match(LEADING_TIME);
+    if (time) line = line.substring(time[0].length);
+    const { speaker, words } = parseSpeakerLine(line);
+    cues.push({ speaker, words, start_time: time ? parseClock(time[1]) : null });
+  }
+  const hasSpeakers = cues.some(cue => cue.speaker);
+  return { speaker_blocks: mergeCues(cues), ...(hasSpeakers ? {} : { transcript: String(text || "").trim() }) };
+};
+
+// WebVTT and SRT: blank-line separated cues with an "a --> b" timing line.
+// Speakers come from VTT voice tags (<v Name>, Teams) or a "Name:" prefix (Zoom, most SRT exports).
+const CUE_TIMING = /^(\S+)\s+-->\s+(\S+)/;
+const VOICE_TAG = /<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+const parseCaptions = (text) => {
+  const cues = [];
+  for (const chunk of String(text || "").replace(/^\uFEFF/, "").split(/\r?\n\s*\r?\n/)) {
+    const lines = chunk.split(/\r?\n/);
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE, REGION
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING);
+    const body = lines.slice(timingIndex + 1).join(" ").trim();
+    const voice = body.match(VOICE_TAG);
+    const plain = body.replace(/<[^>]+>/g, "").trim();
+    const { speaker, words } = voice ? { speaker: voice[1].trim(), words: plain } : parseSpeakerLine(plain);
+    cues.push({ speaker, words, start_time: parseClock(start), end_time: parseClock(end) });
+  }
+  return { speaker_blocks: mergeCues(cues) };
+};
+
+// --- JSON EXPORTS ---
+
+// Microsoft Teams / Stream transcript JSON: { entries: [{ speakerDisplayName, text, startOffset, endOffset }] }
+const parseTeamsJSON = (json) => {
+  const cues = json.entries.map(entry => ({
+    speaker: entry.speakerDisplayName || entry.speakerId,
+    words: entry.text,
+    start_time: parseClock(entry.startOffset),
+    end_time: parseClock(entry.endOffset),
+  }));
+  return { speaker_blocks: mergeCues(cues) };
+};
+
+// Otter export: { speech: { title, speakers: [{ id, speaker_name }], transcripts: [{ speaker_id, transcript, start_offset, end_offset }] } }
+// (the `speech` wrapper is optional; offsets are milliseconds)
+const parseOtterJSON = (json) => {
+  const speech = json.speech || json;
+  const names = new Map((speech.speakers || []).map(s => [String(s.id), s.speaker_name || s.name]));
+  const cues = speech.transcripts.map(entry => ({
+    speaker: names.get(String(entry.speaker_id)) || entry.speaker_name || null,
+    words: entry.transcript ?? entry.text,
+    start_time: parseClock(entry.start_offset),
+    end_time: parseClock(entry.end_offset),
+  }));
+  return { speaker_blocks: mergeCues(cues), meeting_title: speech.title };
+};
+
+// Zoom transcript JSON: { topic, participants: [{ user_name, user_email }], timeline | transcript: [{ username, text, ts, end_ts }] }
+// (the field names Zoom uses across its recording / transcript endpoints are all accepted)
+const parseZoomJSON = (json) => {
+  const entries = json.timeline || json.transcript;
+  const cues = entries.map(entry => ({
+    speaker: entry.username || entry.user_name || entry.speaker_name || entry.speaker || entry.users?.[0]?.username,
+    words: entry.text ?? entry.content,
+    start_time: parseClock(entry.ts ?? entry.start_time),
+    end_time: parseClock(entry.end_ts ?? entry.end_time),
+  }));
+  const participants = (json.participants || [])
+    .map(p => ({ name: p.user_name || p.name, email: p.user_email || p.email || null }))
+    .filter(p => p.name);
+  return { speaker_blocks: mergeCues(cues), participants, meeting_title: json.topic };
+};
+
+// --- REGISTRY ---
+
+const parseJSON = (text) => {
+  try { return JSON.parse(text); } catch (err) { return null; }
+};
+
+// Tried in order: the first parser whose `sniff` accepts the content wins, then the first one
+// claiming the extension. `text` is the UTF-8 decoding of the file, `json` its parse (or null).
+const PARSERS = [
+  {
+    format: 'docx',
+    extensions: ['.docx'],
+    sniff: ({ buffer }) => buffer.subarray(0, 2).toString('latin1') === 'PK', // zip container
+    parse: async ({ buffer }) => parsePlainText((await mammoth.extractRawText({ buffer })).value),
+  },
+  {
+    format: 'pdf',
+    extensions: ['.pdf'],
+    sniff: ({ buffer }) => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+    parse: async ({ buffer }) => {
+      const parser = new PDFParse({ data: buffer });
+      try {
+        const { text } = await parser.getText();
+        return parsePlainText(text.replace(/^-- \d+ of \d+ --$/gm, "")); // page separators
+      } finally {
+        await parser.destroy();
+      }
+    },
+  },
+  {
+    format: 'vtt',
+    extensions: ['.vtt'],
+    sniff: ({ text }) => /^\uFEFF?WEBVTT/.test(text),
+    parse: ({ text }) => parseCaptions(text),
+  },
+  {
+    format: 'srt',
+    extensions: ['.srt'],
+    sniff: ({ text }) => /^\uFEFF?\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s+-->/.test(text),
+    parse: ({ text }) => parseCaptions(text),
+  },
+  {
+    format: 'teams_json',
+    extensions: [],
+    sniff: ({ json }) => Array.isArray(json?.entries) && json.entries.some(e => 'speakerDisplayName' in e || 'startOffset' in e),
+    parse: ({ json }) => parseTeamsJSON(json),
+  },
+  {
+    format: 'otter_json',
+    extensions: [],
+    sniff: ({ json }) => Array.isArray((json?.speech || json)?.transcripts),
+    parse: ({ json }) => parseOtterJSON(json),
+  },
+  {
+    format: 'zoom_json',
+    extensions: [],
+    sniff: ({ json }) => Array.isArray(json?.timeline) || (Array.isArray(json?.transcript) && json.transcript.some(e => e && typeof e === 'object')),
+    parse: ({ json }) => parseZoomJSON(json),
+  },
+  {
+    format: 'text',
+    extensions: ['.txt', '.md', ''],
+    sniff: () => false,
+    parse: ({ text }) => parsePlainText(text),
+  },
+];
+
+// file: { buffer, originalname } (multer) -> { format, transcript, speaker_blocks, participants, meeting_title }
+const parseTranscriptFile = async ({ buffer, originalname }) => {
+  const extension = path.extname(originalname || "").toLowerCase();
+  const text = buffer.toString('utf8');
+  const json = extension === '.json' || /^\s*[{[]/.test(text) ? parseJSON(text) : null;
+  const input = { buffer, text, json, extension };
+
+  const parser = PARSERS.find(p => p.sniff(input))
+    || PARSERS.find(p => p.extensions.includes(extension))
+    || (json ? null : PARSERS.find(p => p.format === 'text'));
+  if (!parser) throw new Error(`Unrecognized transcript format: ${originalname}`);
+
+  const result = await parser.parse(input);
+  const speaker_blocks = result.speaker_blocks || [];
+  if (speaker_blocks.length === 0) throw new Error(`No transcript text found in ${originalname} (${parser.format})`);
+
+  return {
+    format: parser.format,
+    transcript: result.transcript || formatSpeakerBlocks(speaker_blocks),
+    speaker_blocks,
+    participants: result.participants?.length ? result.participants : participantsFromBlocks(speaker_blocks),
+    meeting_title: result.meeting_title || null,
+  };
+};
+
+module.exports = {
+  parseTranscriptFile,
+  formatSpeakerBlocks,
+  parseClock,
+  PARSERS
+};
@@ -0,0 +1,189 @@
+// transcriptQuery.js
+// Read side of NormalizedTranscript: list / fetch meetings and pull decisions and people across them.
+
+const { NormalizedTranscript } = require('@read-ai/shared-config/TranscriptModel');
+
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const containsRegex = (text) => new RegExp(escapeRegex(text), 'i');
+
+const paging = ({ page, limit } = {}) => {
+  const size = Math.min(Number(limit) || 20, MAX_PAGE_SIZE);
+  const current = Math.max(Number(page) || 1, 1);
+  return { page: current, limit: size, skip: (current - 1) * size };
+};
+
+// Shared filters: source, from / to (meeting date), participant (name or email), project
+const buildFilter = ({ source, from, to, participant, project } = {}) => {
+  const filter = {};
+  if (source) filter.source = source;
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = new Date(from);
+    if (to) filter.created_at.$lte = new Date(to);
+  }
+  if (participant) {
+    const rx = containsRegex(participant);
+    filter.$or = [
+      { 'participants.name': rx },
+      { 'participants.email': rx },
+      { 'normalized_data.extracted_entities.people': rx },
+    ];
+  }
+  if (project) filter['normalized_data.extracted_entities.projects.project_name'] = containsRegex(project);
+  return filter;
+};
+
+// Lightweight list rows: no raw transcript, no task bodies
+const LIST_PROJECTION = {
+  transcript_id: 1,
+  source: 1,
+  source_id: 1,
+  meeting_title: 1,
+  created_at: 1,
+  start_time: 1,
+  participants: 1,
+  'normalized_data.summary': 1,
+  'normalized_data.extracted_entities.projects.project_name': 1,
+  'normalized_data.quality_metrics': 1,
+};
+
+const listTranscripts = async (query = {}) => {
+  const { page, limit, skip } = paging(query);
+  const filter = buildFilter(query);
+  const [total, transcripts] = await Promise.all([
+    NormalizedTranscript.countDocuments(filter),
+    NormalizedTranscript.find(filter, LIST_PROJECTION).sort({ created_at: -1 }).skip(skip).limit(limit).lean(),
+  ]);
+  return { total, page, limit, transcripts };
+};
+
+const getTranscript = async (transcriptId, { includeRaw = true } = {}) => {
+  const projection = includeRaw ? {} : { raw_transcript: 0, speaker_blocks: 0 };
+  return NormalizedTranscript.findOne({ transcript_id: transcriptId }, projection).lean();
+};
+
+// Meeting-level and project-level decisions, newest meeting first. `q` filters the decision text.
+const listDecisions = async (query = {}) => {
+  const { page, limit, skip } = paging(query);
+  const textMatch = query.q ? [{ $match: { decision: containsRegex(query.q) } }] : [];
+
+  const [result] = await NormalizedTranscript.aggregate([
+    { $match: buildFilter(query) },
+    {
+      $project: {
+        transcript_id: 1,
+        meeting_title: 1,
+        created_at: 1,
+        items: {
+          $concatArrays: [
+            {
+              $map: {
+                input: { $ifNull: ['$normalized_data.extracted_entities.decisions', []] },
+                as: 'd',
+                in: { decision: '$$d', project: null }
+              }
+            },
+            {
+              $reduce: {
+                input: { $ifNull: ['$normalized_data.extracted_entities.projects', []] },
+                initialValue: [],
+                in: {
+                  $concatArrays: ['$$value', {
+                    $map: {
+                      input: { $ifNull: ['$$this.associated_decisions', []] },
+                      as: 'd',
+                      in: { decision: '$$d', project: '$$this.project_name' }
+                    }
+                  }]
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$items' },
+    {
+      $project: {
+        _id: 0,
+        transcript_id: 1,
+        meeting_title: 1,
+        created_at: 1,
+        decision: '$items.decision',
+        project: '$items.project'
+      }
+    },
+    ...textMatch,
+    ...(query.project ? [{ $match: { $or: [{ project: null }, { project: containsRegex(query.project) }] } }] : []),
+    { $sort: { created_at: -1 } },
+    { $facet: { total: [{ $count: 'count' }], decisions: [{ $skip: skip }, { $limit: limit }] } },
+  ]);
+
+  return { total: result?.total[0]?.count || 0, page, limit, decisions: result?.decisions || [] };
+};
+
+// Everyone who attended or was mentioned, with how many meetings and when last seen
+const listPeople = async (query = {}) => {
+  const { page, limit, skip } = paging(query);
+
+  const [result] = await NormalizedTranscript.aggregate([
+    { $match: buildFilter(query) },
+    {
+      $project: {
+        transcript_id: 1,
+        created_at: 1,
+        people: {
+          $concatArrays: [
+            {
+              $map: {
+                input: { $ifNull: ['$participants', []] },
+                as: 'p',
+                in: { name: '$$p.name', email: '$$p.email' }
+              }
+            },
+            {
+              $map: {
+                input: { $ifNull: ['$normalized_data.extracted_entities.people', []] },
+                as: 'p',
+                in: { name: '$$p', email: null }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$people' },
+    { $match: { 'people.name': { $nin: [null, ""] } } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$people.name' } } },
+        name: { $first: '$people.name' },
+        emails: { $addToSet: '$people.email' },
+        meetings: { $addToSet: '$transcript_id' },
+        last_seen: { $max: '$created_at' },
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        name: 1,
+        emails: { $filter: { input: '$emails', as: 'e', cond: { $ne: ['$$e', null] } } },
+        meeting_count: { $size: '$meetings' },
+        last_seen: 1,
+      }
+    },
+    { $sort: { meeting_count: -1, name: 1 } },
+    { $facet: { total: [{ $count: 'count' }], people: [{ $skip: skip }, { $limit: limit }] } },
+  ]);
+
+  return { total: result?.total[0]?.count || 0, page, limit, people: result?.people || [] };
+};
+
+module.exports = {
+  listTranscripts,
+  getTranscript,
+  listDecisions,
+  listPeople
+};
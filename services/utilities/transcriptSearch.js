@@ -0,0 +1,145 @@
+// transcriptSearch.js
+// Ranked full-text search over stored transcripts (MongoDB text index "transcript_search"),
+// with highlighted snippets per matching field and links to accepted Notion tasks.
+
+const { NormalizedTranscript } = require('@read-ai/shared-config/TranscriptModel');
+const { DecisionAudit } = require('@read-ai/shared-config');
+
+const MAX_RESULTS = 50;
+const MAX_HIGHLIGHTS_PER_RESULT = 5;
+const SNIPPET_RADIUS = 80;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search terms as Mongo understands them: quoted phrases stay whole, "-term" is an exclusion
+const queryTerms = (query) => {
+  const terms = [];
+  String(query || "").replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+    const term = (phrase || word || "").trim();
+    if (term && !term.startsWith('-') && term.length >= 2) terms.push(term.toLowerCase());
+    return match;
+  });
+  return terms;
+};
+
+// Prefix match so "tile" also highlights "tiles" (the text index stems, we approximate)
+const termRegex = (terms) => new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+
+// Window around the first match, every match wrapped in `marks`
+const highlight = (text, terms, marks = ['<mark>', '</mark>']) => {
+  if (!text || terms.length === 0) return null;
+  const rx = termRegex(terms);
+  const first = rx.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const window = text.substring(start, end).replace(/\s+/g, " ");
+  const marked = window.replace(termRegex(terms), (m) => `${marks[0]}${m}${marks[1]}`);
+  return `${start > 0 ? "…" : ""}${marked}${end < text.length ? "…" : ""}`;
+};
+
+// Every field of one transcript that mentions a term, most specific first
+const collectHighlights = (doc, terms, marks) => {
+  const hits = [];
+  const push = (field, text, extra = {}) => {
+    const snippet = highlight(text, terms, marks);
+    if (snippet) hits.push({ field, snippet, ...extra });
+  };
+
+  const entities = doc.normalized_data?.extracted_entities || {};
+  (entities.projects || []).forEach(project => {
+    (project.tasks || []).forEach(task => {
+      push('task', `${task.task_title || ""} — ${task.notes || ""}`, { project: project.project_name, task_title: task.task_title });
+    });
+  });
+  (entities.decisions || []).forEach(decision => push('decision', decision));
+  (doc.normalized_data?.summary?.key_points || []).forEach(point => push('key_point', point));
+  push('meeting_title', doc.meeting_title);
+  push('transcript', doc.transcript_excerpt);
+
+  return hits.slice(0, MAX_HIGHLIGHTS_PER_RESULT);
+};
+
+// Slice of raw_transcript around the earliest term, cut inside MongoDB so the full text
+// (often hundreds of KB) never leaves the database. The margin keeps highlight()'s "…" right.
+const transcriptExcerptExpr = (terms) => ({
+  $let: {
+    vars: {
+      at: { $min: { $filter: { input: terms.map(term => ({ $indexOfCP: [{ $toLower: '$raw_transcript' }, term] })), cond: { $gte: ['$$this', 0] } } } },
+    },
+    in: {
+      $cond: [
+        { $eq: ['$$at', null] },
+        null,
+        { $substrCP: ['$raw_transcript', { $max: [0, { $subtract: ['$$at', SNIPPET_RADIUS * 2] }] }, SNIPPET_RADIUS * 6] },
+      ],
+    },
+  },
+});
+
+// Accepted tasks per transcript (from the decision audit), keyed by lower-cased title
+const notionLinksFor = async (transcriptIds) => {
+  const rows = await DecisionAudit.find(
+    { trace_id: { $in: transcriptIds }, outcome: 'accepted', notion_page_id: { $ne: null } },
+    { trace_id: 1, notion_page_id: 1, 'proposal.title': 1 }
+  ).lean();
+
+  const links = new Map();
+  rows.forEach(row => {
+    const key = `${row.trace_id}:${String(row.proposal?.title || "").toLowerCase()}`;
+    links.set(key, `https://www.notion.so/${String(row.notion_page_id).replace(/-/g, "")}`);
+  });
+  return links;
+};
+
+// query: free text (Mongo $text syntax: "exact phrase", -exclude). Options: source, project, limit, marks
+const searchTranscripts = async (query, { source, project, limit, marks } = {}) => {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return { query, total: 0, results: [] };
+
+  const filter = { $text: { $search: query } };
+  if (source) filter.source = source;
+  if (project) filter['normalized_data.extracted_entities.projects.project_name'] = new RegExp(escapeRegex(project), 'i');
+
+  const [total, docs] = await Promise.all([
+    NormalizedTranscript.countDocuments(filter),
+    NormalizedTranscript.aggregate([
+      { $match: filter },
+      { $sort: { score: { $meta: 'textScore' } } },
+      { $limit: Math.min(Number(limit) || 10, MAX_RESULTS) },
+      {
+        $project: {
+          transcript_id: 1, meeting_title: 1, source: 1, created_at: 1,
+          score: { $meta: 'textScore' },
+          'normalized_data.extracted_entities': 1,
+          'normalized_data.summary.key_points': 1,
+          transcript_excerpt: transcriptExcerptExpr(terms),
+        }
+      },
+    ]),
+  ]);
+
+  const links = await notionLinksFor(docs.map(d => d.transcript_id));
+
+  const results = docs.map(doc => ({
+    transcript_id: doc.transcript_id,
+    meeting_title: doc.meeting_title,
+    source: doc.source,
+    created_at: doc.created_at,
+    score: doc.score,
+    highlights: collectHighlights(doc, terms, marks).map(hit => {
+      const notionUrl = hit.task_title ? links.get(`${doc.transcript_id}:${hit.task_title.toLowerCase()}`) : null;
+      return notionUrl ? { ...hit, notion_url: notionUrl } : hit;
+    }),
+  }));
+
+  // total: every match; results: the top `limit` of them
+  return { query, total, results };
+};
+
+module.exports = {
+  searchTranscripts,
+  highlight,
+  queryTerms
+};